@@ -2,9 +2,20 @@
 const API_BASE = '';
 
 // State
-let currentPhone = localStorage.getItem('managerPhone') || '';
+let sessionToken = localStorage.getItem('sessionToken') || '';
+let currentPhone = '';
+let currentRole = '';
+let currentGroup = null;
+let currentGroupId = localStorage.getItem('groupId') || '';
+let defaultTimezone = ''; // Server's GROUP_TIMEZONE, for groups without their own
+let defaultOfferHours = null; // Server's WAITLIST_OFFER_HOURS
+let defaultMaybeHoldHours = null; // Server's MAYBE_HOLD_HOURS
+let defaultFirstTeeTime = ''; // Server's FIRST_TEE_TIME
+let smsProvider = ''; // 'outbox' shows the local outbox on the Event tab
 let currentEvent = null;
+let currentEventId = ''; // Selected open event ('' = soonest)
 let golfers = [];
+let managers = [];
 let groupings = {}; // { teeTime: [player1, player2, ...] }
 let testMode = localStorage.getItem('testMode') === 'true';
 let eventResponses = {}; // Track responses in current view { golferId: { status, position } }
@@ -14,6 +25,8 @@ const loginScreen = document.getElementById('login-screen');
 const dashboard = document.getElementById('dashboard');
 const phoneInput = document.getElementById('phone-input');
 const loginBtn = document.getElementById('login-btn');
+const codeInput = document.getElementById('code-input');
+const verifyCodeBtn = document.getElementById('verify-code-btn');
 const loginError = document.getElementById('login-error');
 const logoutBtn = document.getElementById('logout-btn');
 
@@ -26,8 +39,8 @@ document.addEventListener('DOMContentLoaded', () => {
   testModeCheckbox.checked = testMode;
   updateTestModeUI();
 
-  if (currentPhone) {
-    verifyAndLogin(currentPhone);
+  if (sessionToken) {
+    loadSession();
   }
 });
 
@@ -37,6 +50,11 @@ function setupEventListeners() {
   phoneInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') handleLogin();
   });
+  verifyCodeBtn.addEventListener('click', () => handleVerifyCode());
+  codeInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') handleVerifyCode();
+  });
+  document.getElementById('change-phone-btn').addEventListener('click', showPhoneStep);
   logoutBtn.addEventListener('click', handleLogout);
 
   // Test mode toggle
@@ -50,11 +68,16 @@ function setupEventListeners() {
   // Event actions
   document.getElementById('refresh-status-btn').addEventListener('click', loadEventStatus);
   document.getElementById('notify-backups-btn').addEventListener('click', notifyBackups);
+  document.getElementById('remind-btn').addEventListener('click', remindNonResponders);
+  document.getElementById('resend-announcement-btn').addEventListener('click', resendAnnouncement);
   document.getElementById('close-event-btn').addEventListener('click', closeEvent);
   document.getElementById('create-event-form').addEventListener('submit', createEvent);
+  document.getElementById('toggle-activity-btn').addEventListener('click', toggleActivity);
+  document.getElementById('refresh-outbox-btn').addEventListener('click', loadOutbox);
 
   // Manager response
   document.getElementById('manager-in-btn').addEventListener('click', () => managerRespond('in'));
+  document.getElementById('manager-maybe-btn').addEventListener('click', () => managerRespond('maybe'));
   document.getElementById('manager-out-btn').addEventListener('click', () => managerRespond('out'));
 
   // Test mode: simulate responses
@@ -64,6 +87,18 @@ function setupEventListeners() {
   // Golfers
   document.getElementById('add-golfer-form').addEventListener('submit', addGolfer);
 
+  // Groups
+  document.getElementById('group-switcher').addEventListener('change', (e) => switchGroup(e.target.value));
+  document.getElementById('event-picker').addEventListener('change', (e) => switchEvent(e.target.value));
+  document.getElementById('group-settings-form').addEventListener('submit', saveGroupSettings);
+  document.getElementById('create-group-form').addEventListener('submit', createGroup);
+
+  // Managers
+  document.getElementById('add-manager-form').addEventListener('submit', addManager);
+  document.getElementById('cancel-manager-edit-btn').addEventListener('click', closeManagerModal);
+  document.getElementById('delete-manager-btn').addEventListener('click', deleteManager);
+  document.getElementById('edit-manager-form').addEventListener('submit', updateManager);
+
   // Edit modal
   document.getElementById('cancel-edit-btn').addEventListener('click', closeEditModal);
   document.getElementById('delete-golfer-btn').addEventListener('click', deleteGolfer);
@@ -72,8 +107,15 @@ function setupEventListeners() {
   // Message preview modal
   document.getElementById('close-message-modal-btn').addEventListener('click', closeMessageModal);
 
+  // Golfer conversation modal
+  document.getElementById('close-conversation-btn').addEventListener('click', closeConversation);
+
   // Groupings
   document.getElementById('send-groupings-btn').addEventListener('click', sendGroupings);
+  document.getElementById('players-pool').addEventListener('click', (e) => {
+    const chip = e.target.closest('.player-chip');
+    if (chip) selectPlayer(chip.dataset.player);
+  });
 
   // Set default date to next Sunday
   const dateInput = document.getElementById('event-date');
@@ -121,12 +163,13 @@ async function loadSimulateList() {
   try {
     // Get all golfers and current responses
     const [golfersRes, statusRes] = await Promise.all([
-      fetch(`${API_BASE}/api/golfers`),
-      fetch(`${API_BASE}/api/event/status`)
+      apiFetch(`/api/golfers`),
+      apiFetch(`/api/event/status`)
     ]);
 
     const allGolfers = await golfersRes.json();
     const statusData = await statusRes.json();
+    const maxPlayers = statusData.event.max_players;
 
     // Build response map
     eventResponses = {};
@@ -144,6 +187,11 @@ async function loadSimulateList() {
         }
       });
     }
+    if (statusData.offers) {
+      statusData.offers.forEach(o => {
+        eventResponses[o.golfer_id] = { status: 'offered', position: o.position, guests: 0 };
+      });
+    }
     if (statusData.out) {
       statusData.out.forEach(r => {
         eventResponses[r.golfer_id] = { status: 'out', position: null, guests: 0 };
@@ -159,14 +207,16 @@ async function loadSimulateList() {
       let statusText = '';
 
       if (isIn) {
-        statusText = response.position <= 16
-          ? `#${response.position} of 16`
-          : `Waitlist #${response.position - 16}`;
+        statusText = response.position <= maxPlayers
+          ? `#${response.position} of ${maxPlayers}`
+          : `Waitlist #${response.position - maxPlayers}`;
         if (guestCount > 0) {
           statusText += ` +${guestCount}`;
         }
       } else if (isOut) {
         statusText = 'Out';
+      } else if (response?.status === 'offered') {
+        statusText = `Offered #${response.position}`;
       }
 
       return `
@@ -194,7 +244,7 @@ async function loadSimulateList() {
 
 async function simulateResponse(golferId, status, guests = 0) {
   try {
-    const res = await fetch(`${API_BASE}/api/event/simulate-response`, {
+    const res = await apiFetch(`/api/event/simulate-response`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ golferId, status, guests })
@@ -238,7 +288,7 @@ async function randomResponses() {
   if (!currentEvent) return;
 
   try {
-    const res = await fetch(`${API_BASE}/api/event/random-responses`, {
+    const res = await apiFetch(`/api/event/random-responses`, {
       method: 'POST'
     });
     const data = await res.json();
@@ -264,7 +314,7 @@ async function clearAllResponses() {
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/event/clear-responses`, {
+    const res = await apiFetch(`/api/event/clear-responses`, {
       method: 'POST'
     });
     const data = await res.json();
@@ -289,39 +339,128 @@ async function handleLogin() {
     loginError.textContent = 'Please enter a valid phone number';
     return;
   }
-  await verifyAndLogin(phone);
-}
 
-async function verifyAndLogin(phone) {
+  loginBtn.disabled = true;
+  loginError.textContent = '';
+
   try {
-    const res = await fetch(`${API_BASE}/api/auth/verify`, {
+    const res = await fetch(`${API_BASE}/api/auth/request-code`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ phone })
     });
     const data = await res.json();
 
-    if (data.authorized) {
+    if (data.success) {
       currentPhone = phone;
-      localStorage.setItem('managerPhone', phone);
-      showDashboard();
+      showCodeStep();
     } else {
-      loginError.textContent = 'Phone number not authorized as manager';
-      localStorage.removeItem('managerPhone');
+      loginError.textContent = data.error || 'Failed to send code';
     }
   } catch (err) {
     loginError.textContent = 'Connection error. Please try again.';
     console.error('Login error:', err);
+  } finally {
+    loginBtn.disabled = false;
   }
 }
 
-function handleLogout() {
+async function handleVerifyCode() {
+  const code = codeInput.value.trim();
+  if (!/^\d{6}$/.test(code)) {
+    loginError.textContent = 'Enter the 6-digit code';
+    return;
+  }
+
+  try {
+    const res = await fetch(`${API_BASE}/api/auth/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phone: currentPhone, code })
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      sessionToken = data.token;
+      localStorage.setItem('sessionToken', sessionToken);
+      loadSession();
+    } else {
+      loginError.textContent = data.error || 'Invalid code';
+    }
+  } catch (err) {
+    loginError.textContent = 'Connection error. Please try again.';
+    console.error('Verify code error:', err);
+  }
+}
+
+async function loadSession() {
+  try {
+    const res = await apiFetch('/api/auth/session');
+
+    // Saved group no longer managed by this phone: fall back to the default
+    if (res.status === 403 && currentGroupId) {
+      currentGroupId = '';
+      localStorage.removeItem('groupId');
+      return loadSession();
+    }
+    if (!res.ok) return;
+
+    const data = await res.json();
+    currentPhone = data.phone;
+    currentRole = data.role;
+    currentGroup = data.group;
+    currentGroupId = String(data.group.id);
+    defaultTimezone = data.defaultTimezone;
+    defaultOfferHours = data.defaultOfferHours;
+    defaultMaybeHoldHours = data.defaultMaybeHoldHours;
+    defaultFirstTeeTime = data.defaultFirstTeeTime;
+    smsProvider = data.smsProvider;
+    localStorage.setItem('groupId', currentGroupId);
+    document.body.classList.remove('role-owner', 'role-co-manager', 'role-viewer');
+    document.body.classList.add(`role-${currentRole}`);
+    showDashboard();
+  } catch (err) {
+    console.error('Load session error:', err);
+  }
+}
+
+function showCodeStep() {
+  document.getElementById('login-phone-step').classList.add('hidden');
+  document.getElementById('login-code-step').classList.remove('hidden');
+  document.getElementById('login-code-prompt').textContent =
+    `Enter the 6-digit code we texted to ${formatPhoneDisplay(currentPhone)}`;
+  codeInput.value = '';
+  codeInput.focus();
+}
+
+function showPhoneStep() {
+  document.getElementById('login-code-step').classList.add('hidden');
+  document.getElementById('login-phone-step').classList.remove('hidden');
+  loginError.textContent = '';
+}
+
+async function handleLogout() {
+  if (sessionToken) {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+  }
+  showLoginScreen();
+}
+
+function showLoginScreen() {
+  sessionToken = '';
   currentPhone = '';
-  localStorage.removeItem('managerPhone');
+  currentRole = '';
+  currentGroup = null;
+  localStorage.removeItem('sessionToken');
   loginScreen.classList.remove('hidden');
   dashboard.classList.add('hidden');
   phoneInput.value = '';
   loginError.textContent = '';
+  showPhoneStep();
 }
 
 function showDashboard() {
@@ -329,6 +468,9 @@ function showDashboard() {
   dashboard.classList.remove('hidden');
   loadEventStatus();
   loadGolfers();
+  loadManagers();
+  loadGroups();
+  renderGroupSettings();
 }
 
 // Tabs
@@ -348,16 +490,25 @@ function switchTab(tabName) {
 async function loadEventStatus() {
   const eventInfo = document.getElementById('event-info');
   const eventActions = document.getElementById('event-actions');
+  const eventActivity = document.getElementById('event-activity');
+  const eventJobs = document.getElementById('event-jobs');
   const simulateSection = document.getElementById('simulate-responses');
 
   try {
-    const res = await fetch(`${API_BASE}/api/event/status`);
+    await loadEventPicker();
+    loadOutbox();
+
+    const res = await apiFetch(`/api/event/status`);
     const data = await res.json();
 
     if (data.event) {
       currentEvent = data.event;
       renderEventStatus(data);
       eventActions.classList.remove('hidden');
+      eventActivity.classList.remove('hidden');
+      eventJobs.classList.remove('hidden');
+      if (activityVisible) loadActivity();
+      loadJobs();
 
       // Check manager's current response
       loadManagerResponse();
@@ -371,6 +522,9 @@ async function loadEventStatus() {
       currentEvent = null;
       eventInfo.innerHTML = '<p>No active event. Create one below.</p>';
       eventActions.classList.add('hidden');
+      eventActivity.classList.add('hidden');
+      eventJobs.classList.add('hidden');
+      document.getElementById('event-delivery').classList.add('hidden');
       simulateSection.classList.add('hidden');
     }
   } catch (err) {
@@ -379,28 +533,79 @@ async function loadEventStatus() {
   }
 }
 
+async function loadEventPicker() {
+  const picker = document.getElementById('event-picker');
+  const res = await apiFetch(`/api/events`);
+  const events = await res.json();
+
+  // Fall back to the soonest event when the selected one has closed
+  if (!events.some(e => String(e.id) === currentEventId)) {
+    currentEventId = events.length > 0 ? String(events[0].id) : '';
+  }
+
+  picker.innerHTML = events.map(e => `
+    <option value="${e.id}" ${String(e.id) === currentEventId ? 'selected' : ''}>${formatDateDisplay(e.date)} at ${escapeHtml(e.course || '')}</option>
+  `).join('');
+  picker.classList.toggle('hidden', events.length < 2);
+}
+
+function switchEvent(eventId) {
+  currentEventId = String(eventId);
+
+  // Groupings and selections belong to the previous event
+  groupings = {};
+  selectedPlayers = [];
+
+  loadEventStatus();
+}
+
+// "Bob (early times)" for golfers who can only make some tee times
+function formatRosterName(player) {
+  const name = escapeHtml(player.name);
+  return player.time_preference ? `${name} (${formatTimePreference(player.time_preference)})` : name;
+}
+
 function renderEventStatus(data) {
-  const { event, confirmed, waitlist, out, noResponse, backupNotifiedAt, backupCount } = data;
+  const { event, confirmed, waitlist, offers, maybe, out, noResponse, backupNotifiedAt, backupCount } = data;
   const times = JSON.parse(event.times);
 
   const dateStr = formatDateDisplay(event.date);
 
   let html = `
     <div class="event-header">${dateStr} at ${event.course}</div>
-    <div class="event-times">Tee times: ${times.join(', ')}</div>
+    <div class="event-times">Tee times: ${times.map(formatTeeTime).join(', ')}</div>
+    ${event.deadline ? `<div class="event-times">Reply by: ${formatTimestamp(event.deadline)}</div>` : ''}
     <div class="event-status-badge">Status: ${event.status.toUpperCase()}</div>
     <div class="event-summary">
       <div class="summary-section">
-        <div class="summary-label in">IN (${confirmed.length})</div>
-        <div class="summary-names">${confirmed.map(r => r.name).join(', ') || 'None'}</div>
+        <div class="summary-label in">IN (${confirmed.length} of ${event.max_players})</div>
+        <div class="summary-names">${confirmed.map(formatRosterName).join(', ') || 'None'}</div>
       </div>
   `;
 
+  if (offers && offers.length > 0) {
+    html += `
+      <div class="summary-section">
+        <div class="summary-label waitlist">SPOT OFFERS PENDING (${offers.length})</div>
+        <div class="summary-names">${offers.map(o => `${escapeHtml(o.name)} (#${o.position}, until ${formatTimestamp(o.expires_at)})`).join(', ')}</div>
+      </div>
+    `;
+  }
+
+  if (maybe && maybe.length > 0) {
+    html += `
+      <div class="summary-section">
+        <div class="summary-label maybe">MAYBE (${maybe.length})</div>
+        <div class="summary-names">${maybe.map(r => r.position ? `${escapeHtml(r.name)} (holding #${r.position} until ${formatTimestamp(r.hold_expires_at)})` : escapeHtml(r.name)).join(', ')}</div>
+      </div>
+    `;
+  }
+
   if (waitlist.length > 0) {
     html += `
       <div class="summary-section">
         <div class="summary-label waitlist">WAITLIST (${waitlist.length})</div>
-        <div class="summary-names">${waitlist.map(r => r.name).join(', ')}</div>
+        <div class="summary-names">${waitlist.map(r => `#${r.position - event.max_players} ${formatRosterName(r)}`).join(', ')}</div>
       </div>
     `;
   }
@@ -409,7 +614,7 @@ function renderEventStatus(data) {
     html += `
       <div class="summary-section">
         <div class="summary-label out">OUT (${out.length})</div>
-        <div class="summary-names">${out.map(r => r.name).join(', ')}</div>
+        <div class="summary-names">${out.map(r => escapeHtml(r.name)).join(', ')}</div>
       </div>
     `;
   }
@@ -418,7 +623,7 @@ function renderEventStatus(data) {
     html += `
       <div class="summary-section">
         <div class="summary-label no-response">NO RESPONSE (${noResponse.length})</div>
-        <div class="summary-names">${noResponse.map(g => g.name).join(', ')}</div>
+        <div class="summary-names">${noResponse.map(g => g.reminders > 0 ? `${escapeHtml(g.name)} (reminded ${g.reminders}×)` : escapeHtml(g.name)).join(', ')}</div>
       </div>
     `;
   }
@@ -431,8 +636,7 @@ function renderEventStatus(data) {
   const notifyBackupsBtn = document.getElementById('notify-backups-btn');
 
   if (backupNotifiedAt) {
-    const notifiedDate = new Date(backupNotifiedAt);
-    backupStatusEl.textContent = `Backups notified: ${notifiedDate.toLocaleString()}`;
+    backupStatusEl.textContent = `Backups notified: ${formatTimestamp(backupNotifiedAt)}`;
     backupStatusEl.classList.add('notified');
     notifyBackupsBtn.disabled = true;
     notifyBackupsBtn.textContent = 'Backups Notified';
@@ -444,22 +648,285 @@ function renderEventStatus(data) {
     notifyBackupsBtn.disabled = backupCount === 0;
     notifyBackupsBtn.textContent = 'Notify Backups';
   }
+
+  renderDelivery(data.delivery);
+}
+
+// Announcement delivery (golfers the invite text didn't reach)
+const DELIVERY_LABELS = {
+  retrying: 'Retrying',
+  undelivered: 'Undelivered',
+  failed: 'Failed'
+};
+
+function renderDelivery(delivery) {
+  const deliveryEl = document.getElementById('event-delivery');
+  deliveryEl.classList.toggle('hidden', !delivery || delivery.sent === 0);
+  if (!delivery || delivery.sent === 0) return;
+
+  const { sent, queued, delivered, missed } = delivery;
+  document.getElementById('delivery-summary').textContent =
+    `Sent to ${sent} golfer${sent !== 1 ? 's' : ''}` +
+    (queued > 0 ? ` · ${queued} still sending` : '') +
+    (delivered > 0 ? ` · ${delivered} confirmed delivered` : '') +
+    (missed.length > 0 ? ` · ${missed.length} not received` : ' · no failures');
+
+  document.getElementById('resend-announcement-btn').classList.toggle('hidden', missed.every(m => m.optedOut));
+  document.getElementById('delivery-list').innerHTML = missed.map(m => `
+    <div class="activity-item">
+      <div>${escapeHtml(m.name || formatPhoneDisplay(m.phone))}</div>
+      <div class="activity-meta">
+        <span class="source-badge">${DELIVERY_LABELS[m.status] || m.status}</span>
+        ${m.attempts} attempt${m.attempts !== 1 ? 's' : ''}, last ${formatTimestamp(m.updatedAt)}
+        ${m.error ? ` · ${escapeHtml(m.error)}` : ''}
+        ${m.optedOut ? ' · opted out since, won\'t be resent' : ''}
+      </div>
+    </div>
+  `).join('');
+}
+
+async function resendAnnouncement() {
+  if (!currentEvent) return;
+
+  if (testMode) {
+    showToast('Test mode: resending is disabled', 'error');
+    return;
+  }
+
+  if (!confirm('Resend the announcement to every golfer who didn\'t receive it?')) {
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`/api/event/resend-announcement`, { method: 'POST' });
+    const data = await res.json();
+
+    if (data.success) {
+      showToast(`Resending to ${data.resent} golfer${data.resent !== 1 ? 's' : ''}`, 'success');
+      loadEventStatus();
+    } else {
+      showToast(data.error || 'Failed to resend', 'error');
+    }
+  } catch (err) {
+    showToast('Connection error', 'error');
+    console.error('Resend announcement error:', err);
+  }
+}
+
+// Scheduled jobs
+const JOB_LABELS = {
+  remind: 'Remind non-responders',
+  notify_backups: 'Notify backups (if not full)',
+  expire_offers: 'Expire unanswered spot offers',
+  remind_holds: 'Remind maybes before their hold ends',
+  expire_holds: 'Release expired maybe holds',
+  close: 'Send summary & close event'
+};
+
+async function loadJobs() {
+  const listEl = document.getElementById('jobs-list');
+
+  try {
+    const res = await apiFetch(`/api/jobs`);
+    const data = await res.json();
+
+    if (!data.success) {
+      listEl.innerHTML = `<p class="error">${escapeHtml(data.error || 'Failed to load scheduled jobs')}</p>`;
+      return;
+    }
+
+    if (data.jobs.length === 0) {
+      listEl.innerHTML = '<p class="loading">Nothing scheduled</p>';
+      return;
+    }
+
+    listEl.innerHTML = data.jobs.map(job => `
+      <div class="activity-item job-item ${job.status === 'pending' ? '' : 'inactive'}">
+        <div>
+          <div>${escapeHtml(JOB_LABELS[job.type] || job.type)}</div>
+          <div class="activity-meta">
+            ${formatTimestamp(job.run_at)}
+            <span class="source-badge">${job.status}</span>
+            ${job.result ? ` · ${escapeHtml(job.result)}` : ''}
+          </div>
+        </div>
+        ${job.status === 'pending' ? `<button class="btn-text manager-only" onclick="cancelJob(${job.id})">Cancel</button>` : ''}
+      </div>
+    `).join('');
+  } catch (err) {
+    listEl.innerHTML = '<p class="error">Failed to load scheduled jobs</p>';
+    console.error('Load jobs error:', err);
+  }
+}
+
+async function cancelJob(jobId) {
+  if (!confirm('Cancel this scheduled job?')) {
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`/api/jobs/${jobId}`, { method: 'DELETE' });
+    const data = await res.json();
+
+    if (data.success) {
+      showToast('Scheduled job cancelled', 'success');
+      loadJobs();
+    } else {
+      showToast(data.error || 'Failed to cancel', 'error');
+    }
+  } catch (err) {
+    showToast('Connection error', 'error');
+    console.error('Cancel job error:', err);
+  }
+}
+
+// Local outbox (texts kept instead of sent)
+async function loadOutbox() {
+  const outboxEl = document.getElementById('outbox');
+  outboxEl.classList.toggle('hidden', smsProvider !== 'outbox');
+  if (smsProvider !== 'outbox') return;
+
+  const listEl = document.getElementById('outbox-list');
+
+  try {
+    const res = await apiFetch(`/api/outbox`);
+    const data = await res.json();
+
+    if (!data.success) {
+      listEl.innerHTML = `<p class="error">${escapeHtml(data.error || 'Failed to load outbox')}</p>`;
+      return;
+    }
+
+    if (data.messages.length === 0) {
+      listEl.innerHTML = '<p class="loading">No messages yet</p>';
+      return;
+    }
+
+    listEl.innerHTML = data.messages.map(m => `
+      <div class="activity-item">
+        <div class="outbox-body">${escapeHtml(m.body)}</div>
+        <div class="activity-meta">${formatTimestamp(m.created_at)} · to ${escapeHtml(formatPhoneDisplay(m.to_phone))}</div>
+      </div>
+    `).join('');
+  } catch (err) {
+    listEl.innerHTML = '<p class="error">Failed to load outbox</p>';
+    console.error('Load outbox error:', err);
+  }
+}
+
+// Event activity timeline
+let activityVisible = false;
+
+function toggleActivity() {
+  activityVisible = !activityVisible;
+  document.getElementById('activity-list').classList.toggle('hidden', !activityVisible);
+  document.getElementById('toggle-activity-btn').textContent = activityVisible ? 'Hide' : 'Show';
+  if (activityVisible) loadActivity();
+}
+
+async function loadActivity() {
+  if (!currentEvent) return;
+
+  const listEl = document.getElementById('activity-list');
+
+  try {
+    const res = await apiFetch(`/api/audit?eventId=${currentEvent.id}`);
+    const data = await res.json();
+
+    if (!data.success) {
+      listEl.innerHTML = `<p class="error">${escapeHtml(data.error || 'Failed to load activity')}</p>`;
+      return;
+    }
+
+    if (data.entries.length === 0) {
+      listEl.innerHTML = '<p class="loading">No activity yet</p>';
+      return;
+    }
+
+    listEl.innerHTML = data.entries.map(entry => `
+      <div class="activity-item">
+        <div>${escapeHtml(describeAuditEntry(entry, currentEvent.max_players))}</div>
+        <div class="activity-meta">
+          ${formatTimestamp(entry.created_at)} · ${escapeHtml(entry.actor)}
+          <span class="source-badge">${entry.source}</span>
+        </div>
+      </div>
+    `).join('');
+  } catch (err) {
+    listEl.innerHTML = '<p class="error">Failed to load activity</p>';
+    console.error('Load activity error:', err);
+  }
+}
+
+function describeRsvp(snapshot, maxPlayers) {
+  if (!snapshot) return 'no response';
+  if (snapshot.status === 'out') return 'OUT';
+  if (snapshot.status === 'offered') return `Offered #${snapshot.position}`;
+  if (snapshot.status === 'maybe') return snapshot.position ? `MAYBE (holding #${snapshot.position})` : 'MAYBE';
+
+  let text = snapshot.position <= maxPlayers
+    ? `IN #${snapshot.position}`
+    : `Waitlist #${snapshot.position - maxPlayers}`;
+  if (snapshot.guests && snapshot.guests.length > 0) {
+    text += ` +${snapshot.guests.length}`;
+  }
+  return text;
+}
+
+function describeAuditEntry(entry, maxPlayers) {
+  const who = entry.golfer_name || 'Golfer';
+  const before = entry.before_value;
+  const after = entry.after_value;
+
+  switch (entry.action) {
+    case 'rsvp':
+      return `${who}: ${describeRsvp(before, maxPlayers)} → ${describeRsvp(after, maxPlayers)}`;
+    case 'waitlist_bump':
+      return `${after.guest ? `${who}'s guest ${after.guest}` : who} moved up from waitlist #${before.position - maxPlayers} to #${after.position}`;
+    case 'waitlist_offer':
+      return `${who} offered spot #${after.position} from waitlist #${before.position - maxPlayers} (until ${formatTimestamp(after.expiresAt)})`;
+    case 'event_create':
+      return `Event created (${after.course}, ${after.times.map(formatTeeTime).join(', ')})`;
+    case 'event_close':
+      return 'Event closed';
+    case 'golfer_opt_out':
+      return `${who} replied STOP and won't be texted`;
+    case 'golfer_opt_in':
+      return `${who} opted back in to texts`;
+    case 'time_preference':
+      return `${who}: ${formatTimePreference(before.timePreference)} → ${formatTimePreference(after.timePreference)}`;
+    case 'guest_rename':
+      return `${who}'s guest renamed: ${before.name} → ${after.name}`;
+    case 'guest_remove':
+      return `${who}'s guest ${before.name} removed`;
+    case 'responses_cleared':
+      return `All responses cleared (${before.responses}${before.guests ? `, ${before.guests} guest${before.guests !== 1 ? 's' : ''}` : ''}${before.offers ? `, ${before.offers} spot offer${before.offers !== 1 ? 's' : ''}` : ''})`;
+    case 'job_cancel':
+      return `Scheduled job cancelled: ${JOB_LABELS[before.type] || before.type}`;
+    default:
+      return entry.action.replace(/_/g, ' ');
+  }
 }
 
 async function loadManagerResponse() {
   try {
-    const res = await fetch(`${API_BASE}/api/event/manager-status?phone=${encodeURIComponent(currentPhone)}`);
+    const res = await apiFetch(`/api/event/manager-status`);
     const data = await res.json();
 
     const statusEl = document.getElementById('manager-response-status');
     if (data.response) {
       if (data.response.status === 'in') {
         const pos = data.response.position;
-        if (pos <= 16) {
-          statusEl.textContent = `You're IN (#${pos} of 16)`;
+        const maxPlayers = currentEvent.max_players;
+        if (pos <= maxPlayers) {
+          statusEl.textContent = `You're IN (#${pos} of ${maxPlayers})`;
         } else {
-          statusEl.textContent = `You're on waitlist #${pos - 16}`;
+          statusEl.textContent = `You're on waitlist #${pos - maxPlayers}`;
         }
+      } else if (data.response.status === 'maybe') {
+        statusEl.textContent = data.response.position
+          ? `You're a MAYBE, holding spot #${data.response.position} until ${formatTimestamp(data.response.hold_expires_at)}`
+          : "You're a MAYBE for this event";
       } else {
         statusEl.textContent = "You're OUT for this event";
       }
@@ -477,16 +944,18 @@ async function createEvent(e) {
   const date = document.getElementById('event-date').value;
   const course = document.getElementById('event-course').value;
   const timesRaw = document.getElementById('event-times').value;
+  const maxPlayers = document.getElementById('event-max-players').value;
+  const deadline = document.getElementById('event-deadline').value;
 
   const resultEl = document.getElementById('create-event-result');
   resultEl.textContent = 'Creating event...';
   resultEl.className = 'result';
 
   try {
-    const res = await fetch(`${API_BASE}/api/event/create`, {
+    const res = await apiFetch(`/api/event/create`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ date, course, times: timesRaw, testMode })
+      body: JSON.stringify({ date, course, times: timesRaw, maxPlayers, deadline, testMode })
     });
     const data = await res.json();
 
@@ -503,7 +972,8 @@ async function createEvent(e) {
         showMessageModal(data.message, data.recipients || []);
       }
 
-      // Reset groupings for new event
+      // Show the new event and reset groupings
+      currentEventId = String(data.eventId);
       groupings = {};
 
       loadEventStatus();
@@ -511,6 +981,8 @@ async function createEvent(e) {
       // Clear form
       document.getElementById('event-course').value = '';
       document.getElementById('event-times').value = '';
+      document.getElementById('event-max-players').value = '';
+      document.getElementById('event-deadline').value = '';
     } else {
       resultEl.textContent = data.error || 'Failed to create event';
       resultEl.className = 'result error';
@@ -528,7 +1000,7 @@ async function closeEvent() {
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/event/close`, { method: 'POST' });
+    const res = await apiFetch(`/api/event/close`, { method: 'POST' });
     const data = await res.json();
 
     if (data.success) {
@@ -555,7 +1027,7 @@ async function notifyBackups() {
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/event/notify-backups`, {
+    const res = await apiFetch(`/api/event/notify-backups`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ testMode })
@@ -583,12 +1055,49 @@ async function notifyBackups() {
   }
 }
 
+async function remindNonResponders() {
+  if (!currentEvent) return;
+
+  const confirmMsg = testMode
+    ? 'Remind golfers who haven\'t responded? (Test mode - no SMS will be sent)'
+    : 'Text a reminder to every golfer who hasn\'t responded?';
+
+  if (!confirm(confirmMsg)) {
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`/api/event/remind`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ testMode })
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      let msg = testMode
+        ? `Test mode: Would remind ${data.reminded} golfers`
+        : `Reminded ${data.reminded} golfers`;
+      if (data.skipped > 0) {
+        msg += ` (${data.skipped} reminded recently, skipped)`;
+      }
+      showToast(msg, 'success');
+      loadEventStatus();
+    } else {
+      showToast(data.error || 'Failed to send reminders', 'error');
+    }
+  } catch (err) {
+    showToast('Connection error', 'error');
+    console.error('Remind error:', err);
+  }
+}
+
 async function managerRespond(status) {
   try {
-    const res = await fetch(`${API_BASE}/api/event/respond`, {
+    const res = await apiFetch(`/api/event/respond`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ phone: currentPhone, status })
+      body: JSON.stringify({ status })
     });
     const data = await res.json();
 
@@ -610,7 +1119,7 @@ async function loadGolfers() {
   const countEl = document.getElementById('golfer-count');
 
   try {
-    const res = await fetch(`${API_BASE}/api/golfers`);
+    const res = await apiFetch(`/api/golfers`);
     golfers = await res.json();
 
     countEl.textContent = `(${golfers.length})`;
@@ -626,10 +1135,15 @@ async function loadGolfers() {
           <div class="golfer-name">
             ${escapeHtml(g.name)}
             ${g.tier === 'backup' ? '<span class="tier-badge backup">backup</span>' : ''}
+            ${g.opted_out ? '<span class="tier-badge opted-out">opted out</span>' : ''}
+          </div>
+          <div class="golfer-phone">
+            ${formatPhoneDisplay(g.phone)}
+            ${g.opted_out ? ` · replied STOP ${formatTimestamp(g.opt_changed_at)}, not texted until they reply START` : ''}
           </div>
-          <div class="golfer-phone">${formatPhoneDisplay(g.phone)}</div>
         </div>
-        <button class="golfer-edit-btn" onclick="openEditModal(${g.id})">Edit</button>
+        <button class="golfer-edit-btn" onclick="openConversation(${g.id})">Messages</button>
+        <button class="golfer-edit-btn manager-only" onclick="openEditModal(${g.id})">Edit</button>
       </div>
     `).join('');
   } catch (err) {
@@ -653,7 +1167,7 @@ async function addGolfer(e) {
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/golfers`, {
+    const res = await apiFetch(`/api/golfers`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ name, phone, tier })
@@ -708,6 +1222,55 @@ function closeMessageModal() {
   document.getElementById('message-modal').classList.add('hidden');
 }
 
+// Golfer conversation: texts in (with what they were read as) and out
+async function openConversation(golferId) {
+  const golfer = golfers.find(g => g.id === golferId);
+  if (!golfer) return;
+
+  const listEl = document.getElementById('conversation-list');
+  document.getElementById('conversation-title').textContent = `Messages with ${golfer.name}`;
+  listEl.innerHTML = '<p class="loading">Loading...</p>';
+  document.getElementById('conversation-modal').classList.remove('hidden');
+
+  try {
+    const res = await apiFetch(`/api/golfers/${golferId}/conversation`);
+    const data = await res.json();
+
+    if (!data.success) {
+      listEl.innerHTML = `<p class="error">${escapeHtml(data.error || 'Failed to load messages')}</p>`;
+      return;
+    }
+
+    if (data.messages.length === 0) {
+      listEl.innerHTML = '<p class="loading">No messages yet</p>';
+      return;
+    }
+
+    listEl.innerHTML = data.messages.map(m => {
+      const label = m.direction === 'in' ? m.intent : m.kind;
+      const status = m.direction === 'out' && m.status && m.status !== 'sent' ? ` · ${m.status}` : '';
+      return `
+        <div class="conversation-message ${m.direction}">
+          <div class="conversation-body">${escapeHtml(m.body)}</div>
+          <div class="activity-meta">
+            ${formatTimestamp(m.createdAt)}
+            ${label ? `<span class="source-badge">${escapeHtml(label.replace(/_/g, ' '))}</span>` : ''}
+            ${escapeHtml(status)}
+          </div>
+        </div>
+      `;
+    }).join('');
+    listEl.scrollTop = listEl.scrollHeight;
+  } catch (err) {
+    listEl.innerHTML = '<p class="error">Failed to load messages</p>';
+    console.error('Load conversation error:', err);
+  }
+}
+
+function closeConversation() {
+  document.getElementById('conversation-modal').classList.add('hidden');
+}
+
 async function updateGolfer(e) {
   e.preventDefault();
 
@@ -722,7 +1285,7 @@ async function updateGolfer(e) {
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/golfers/${id}`, {
+    const res = await apiFetch(`/api/golfers/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ name, phone, tier })
@@ -751,7 +1314,7 @@ async function deleteGolfer() {
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/golfers/${id}`, { method: 'DELETE' });
+    const res = await apiFetch(`/api/golfers/${id}`, { method: 'DELETE' });
     const data = await res.json();
 
     if (data.success) {
@@ -767,6 +1330,278 @@ async function deleteGolfer() {
   }
 }
 
+// Groups
+async function loadGroups() {
+  const switcher = document.getElementById('group-switcher');
+
+  try {
+    const res = await apiFetch(`/api/groups`);
+    const groups = await res.json();
+
+    switcher.innerHTML = groups.map(g => `
+      <option value="${g.id}" ${String(g.id) === currentGroupId ? 'selected' : ''}>${escapeHtml(g.name)}</option>
+    `).join('');
+    switcher.classList.toggle('hidden', groups.length < 2);
+  } catch (err) {
+    console.error('Load groups error:', err);
+  }
+}
+
+function switchGroup(groupId) {
+  currentGroupId = String(groupId);
+  localStorage.setItem('groupId', currentGroupId);
+
+  // Groupings and selections belong to the previous group's event
+  groupings = {};
+  selectedPlayers = [];
+  currentEvent = null;
+  currentEventId = '';
+
+  loadSession();
+}
+
+function renderGroupSettings() {
+  if (!currentGroup) return;
+
+  document.getElementById('group-name').value = currentGroup.name;
+  document.getElementById('group-twilio-number').value = currentGroup.twilio_number
+    ? formatPhoneDisplay(currentGroup.twilio_number)
+    : '';
+  document.getElementById('group-contact-name').value = currentGroup.contact_name || '';
+  document.getElementById('group-reminder-offsets').value = currentGroup.reminder_offsets || '';
+  document.getElementById('group-timezone').value = currentGroup.timezone || '';
+  document.getElementById('group-timezone').placeholder = `Default: ${defaultTimezone}`;
+  document.getElementById('group-offer-hours').value = currentGroup.offer_hours ?? '';
+  document.getElementById('group-offer-hours').placeholder = `Default: ${defaultOfferHours}`;
+  document.getElementById('group-maybe-hold-hours').value = currentGroup.maybe_hold_hours ?? '';
+  document.getElementById('group-maybe-hold-hours').placeholder = `Default: ${defaultMaybeHoldHours}`;
+  document.getElementById('group-first-tee-time').value = currentGroup.first_tee_time || '';
+  document.getElementById('group-first-tee-time').placeholder = `Default: ${defaultFirstTeeTime}`;
+
+  const consentUrl = `${window.location.origin}/consent/${currentGroup.slug}`;
+  document.getElementById('group-consent-link').innerHTML =
+    `Consent page: <a href="${consentUrl}" target="_blank">${escapeHtml(consentUrl)}</a>`;
+}
+
+async function saveGroupSettings(e) {
+  e.preventDefault();
+
+  const name = document.getElementById('group-name').value.trim();
+  const twilioNumber = document.getElementById('group-twilio-number').value.trim();
+  const contactName = document.getElementById('group-contact-name').value.trim();
+  const reminderOffsets = document.getElementById('group-reminder-offsets').value.trim();
+  const timezone = document.getElementById('group-timezone').value.trim();
+  const offerHours = document.getElementById('group-offer-hours').value.trim();
+  const maybeHoldHours = document.getElementById('group-maybe-hold-hours').value.trim();
+  const firstTeeTime = document.getElementById('group-first-tee-time').value.trim();
+  const resultEl = document.getElementById('group-settings-result');
+
+  try {
+    const res = await apiFetch(`/api/group`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, twilioNumber, contactName, reminderOffsets, timezone, offerHours, maybeHoldHours, firstTeeTime })
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      currentGroup = data.group;
+      resultEl.textContent = 'Group saved';
+      resultEl.className = 'result success';
+      renderGroupSettings();
+      loadGroups();
+    } else {
+      resultEl.textContent = data.error || 'Failed to save group';
+      resultEl.className = 'result error';
+    }
+  } catch (err) {
+    resultEl.textContent = 'Connection error';
+    resultEl.className = 'result error';
+    console.error('Save group error:', err);
+  }
+}
+
+async function createGroup(e) {
+  e.preventDefault();
+
+  const name = document.getElementById('new-group-name').value.trim();
+  const twilioNumber = document.getElementById('new-group-twilio-number').value.trim();
+  const resultEl = document.getElementById('create-group-result');
+
+  try {
+    const res = await apiFetch(`/api/groups`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, twilioNumber })
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      document.getElementById('new-group-name').value = '';
+      document.getElementById('new-group-twilio-number').value = '';
+      resultEl.textContent = '';
+      resultEl.className = 'result';
+      showToast(`Created ${data.group.name}`, 'success');
+      switchGroup(data.group.id);
+    } else {
+      resultEl.textContent = data.error || 'Failed to create group';
+      resultEl.className = 'result error';
+    }
+  } catch (err) {
+    resultEl.textContent = 'Connection error';
+    resultEl.className = 'result error';
+    console.error('Create group error:', err);
+  }
+}
+
+// Manager Management
+async function loadManagers() {
+  const listEl = document.getElementById('manager-list');
+  const countEl = document.getElementById('manager-count');
+
+  try {
+    const res = await apiFetch(`/api/managers`);
+    managers = await res.json();
+
+    countEl.textContent = `(${managers.length})`;
+
+    listEl.innerHTML = managers.map(m => `
+      <div class="golfer-item">
+        <div class="golfer-info">
+          <div class="golfer-name">
+            ${escapeHtml(m.name || formatPhoneDisplay(m.phone))}
+            <span class="tier-badge ${m.role}">${m.role}</span>
+          </div>
+          <div class="golfer-phone">${formatPhoneDisplay(m.phone)}${m.notify ? '' : ' · alerts off'}</div>
+        </div>
+        <button class="golfer-edit-btn owner-only" onclick="openManagerModal(${m.id})">Edit</button>
+      </div>
+    `).join('');
+  } catch (err) {
+    listEl.innerHTML = '<p class="error">Failed to load managers</p>';
+    console.error('Load managers error:', err);
+  }
+}
+
+async function addManager(e) {
+  e.preventDefault();
+
+  const name = document.getElementById('manager-name').value.trim();
+  const phone = normalizePhone(document.getElementById('manager-phone').value);
+  const role = document.getElementById('manager-role').value;
+  const notify = document.getElementById('manager-notify').checked;
+  const resultEl = document.getElementById('add-manager-result');
+
+  if (!phone) {
+    resultEl.textContent = 'Invalid phone number';
+    resultEl.className = 'result error';
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`/api/managers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, phone, role, notify })
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      resultEl.textContent = `Added ${name || formatPhoneDisplay(phone)} (${role})`;
+      resultEl.className = 'result success';
+      document.getElementById('manager-name').value = '';
+      document.getElementById('manager-phone').value = '';
+      document.getElementById('manager-role').value = 'co-manager';
+      document.getElementById('manager-notify').checked = true;
+      loadManagers();
+    } else {
+      resultEl.textContent = data.error || 'Failed to add manager';
+      resultEl.className = 'result error';
+    }
+  } catch (err) {
+    resultEl.textContent = 'Connection error';
+    resultEl.className = 'result error';
+    console.error('Add manager error:', err);
+  }
+}
+
+function openManagerModal(managerId) {
+  const manager = managers.find(m => m.id === managerId);
+  if (!manager) return;
+
+  document.getElementById('edit-manager-id').value = managerId;
+  document.getElementById('edit-manager-name').value = manager.name || '';
+  document.getElementById('edit-manager-phone').value = formatPhoneDisplay(manager.phone);
+  document.getElementById('edit-manager-role').value = manager.role;
+  document.getElementById('edit-manager-notify').checked = !!manager.notify;
+  document.getElementById('edit-manager-modal').classList.remove('hidden');
+}
+
+function closeManagerModal() {
+  document.getElementById('edit-manager-modal').classList.add('hidden');
+}
+
+async function updateManager(e) {
+  e.preventDefault();
+
+  const id = document.getElementById('edit-manager-id').value;
+  const name = document.getElementById('edit-manager-name').value.trim();
+  const phone = normalizePhone(document.getElementById('edit-manager-phone').value);
+  const role = document.getElementById('edit-manager-role').value;
+  const notify = document.getElementById('edit-manager-notify').checked;
+
+  if (!phone) {
+    showToast('Invalid phone number', 'error');
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`/api/managers/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, phone, role, notify })
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      showToast('Manager updated', 'success');
+      closeManagerModal();
+      loadManagers();
+    } else {
+      showToast(data.error || 'Failed to update', 'error');
+    }
+  } catch (err) {
+    showToast('Connection error', 'error');
+    console.error('Update manager error:', err);
+  }
+}
+
+async function deleteManager() {
+  const id = document.getElementById('edit-manager-id').value;
+  const manager = managers.find(m => m.id === parseInt(id, 10));
+  const label = manager?.name || formatPhoneDisplay(manager?.phone || '');
+
+  if (!confirm(`Remove ${label} as a manager?`)) {
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`/api/managers/${id}`, { method: 'DELETE' });
+    const data = await res.json();
+
+    if (data.success) {
+      showToast('Manager removed', 'success');
+      closeManagerModal();
+      loadManagers();
+    } else {
+      showToast(data.error || 'Failed to remove', 'error');
+    }
+  } catch (err) {
+    showToast('Connection error', 'error');
+    console.error('Delete manager error:', err);
+  }
+}
+
 // Groupings
 async function loadGroupings() {
   const noEventEl = document.getElementById('groupings-no-event');
@@ -774,7 +1609,7 @@ async function loadGroupings() {
   const guestsSection = document.getElementById('guests-section');
 
   try {
-    const res = await fetch(`${API_BASE}/api/event/for-groupings`);
+    const res = await apiFetch(`/api/event/for-groupings`);
     const data = await res.json();
 
     if (!data.event) {
@@ -804,6 +1639,14 @@ async function loadGroupings() {
       });
     }
 
+    // Tee times each player can make (guests follow their host)
+    groupingTimes = times;
+    playerPreferences = {};
+    confirmed.forEach(p => {
+      if (p.time_preference) playerPreferences[p.name] = p.time_preference;
+    });
+    groupingPlayers = confirmed;
+
     renderPlayersPool(confirmed);
     renderFoursomes(times, confirmed);
     renderGuestsList(guests);
@@ -827,6 +1670,20 @@ async function loadGroupings() {
 // Track selected players for tap-to-assign (up to 4)
 let selectedPlayers = [];
 
+// The loaded event's tee times, confirmed players, and their tee time preferences by name
+let groupingTimes = [];
+let groupingPlayers = [];
+let playerPreferences = {};
+
+/**
+ * Players who can't make a tee time, as "Bob (early times)"
+ */
+function getPreferenceConflicts(players, time) {
+  return players
+    .filter(name => playerPreferences[name] && !getPreferredTimes(playerPreferences[name], groupingTimes).includes(time))
+    .map(name => `${name} (${formatTimePreference(playerPreferences[name])})`);
+}
+
 function renderPlayersPool(confirmed) {
   const poolEl = document.getElementById('players-pool');
   const clearBtn = document.getElementById('clear-selection-btn');
@@ -859,9 +1716,8 @@ function renderPlayersPool(confirmed) {
       <div class="player-chip ${p.type === 'guest' ? 'guest' : ''} ${isSelected ? 'selected' : ''}"
            draggable="true"
            data-player="${escapeHtml(p.name)}"
-           onclick="selectPlayer('${escapeHtml(p.name).replace(/'/g, "\\'")}')"
            ondragstart="handleDragStart(event)">
-        ${isSelected ? `<span class="selection-badge">${selectionIndex + 1}</span>` : ''}${escapeHtml(p.name)}
+        ${isSelected ? `<span class="selection-badge">${selectionIndex + 1}</span>` : ''}${escapeHtml(p.name)}${p.time_preference ? `<span class="chip-preference">${formatTimePreference(p.time_preference)}</span>` : ''}
       </div>
     `;
   }).join('') || '';
@@ -890,6 +1746,12 @@ function clearSelection() {
 function assignToFoursome(time) {
   if (selectedPlayers.length === 0) return;
 
+  const conflicts = getPreferenceConflicts(selectedPlayers, time);
+  if (conflicts.length > 0) {
+    showToast(`Can't play ${formatTeeTime(time)}: ${conflicts.join(', ')}`, 'error');
+    return;
+  }
+
   // Ensure array exists
   if (!groupings[time]) groupings[time] = [null, null, null, null];
 
@@ -911,6 +1773,40 @@ function assignToFoursome(time) {
   loadGroupings();
 }
 
+/**
+ * Place every unassigned player in the first open slot at a tee time they
+ * can make, starting with the players who can make the fewest
+ */
+function autoFillGroupings() {
+  const assigned = new Set(Object.values(groupings).flat());
+  const allowedTimes = name => getPreferredTimes(playerPreferences[name], groupingTimes);
+  const unassigned = groupingPlayers
+    .map(p => p.name)
+    .filter(name => !assigned.has(name))
+    .sort((a, b) => allowedTimes(a).length - allowedTimes(b).length);
+
+  let unplaced = 0;
+  unassigned.forEach(name => {
+    const time = allowedTimes(name).find(t => (groupings[t] || []).filter(s => s).length < 4);
+    if (!time) {
+      unplaced++;
+      return;
+    }
+
+    if (!groupings[time]) groupings[time] = [];
+    const slot = [0, 1, 2, 3].find(i => !groupings[time][i]);
+    while (groupings[time].length <= slot) groupings[time].push(null);
+    groupings[time][slot] = name;
+  });
+
+  if (unplaced > 0) {
+    showToast(`${unplaced} player${unplaced > 1 ? 's' : ''} couldn't be placed at a tee time they can make`, 'error');
+  }
+
+  selectedPlayers = [];
+  loadGroupings();
+}
+
 function renderGuestsList(guests) {
   const listEl = document.getElementById('guests-list');
 
@@ -934,6 +1830,8 @@ function renderGuestsList(guests) {
 }
 
 function editGuest(guestId) {
+  if (currentRole === 'viewer') return;
+
   const currentName = window.guestData?.[guestId] || 'Guest';
   const item = document.querySelector(`.guest-item[data-guest-id="${guestId}"]`);
   if (!item) return;
@@ -976,7 +1874,7 @@ async function saveGuest(guestId) {
   }
 
   try {
-    const res = await fetch(`${API_BASE}/api/guests/${guestId}`, {
+    const res = await apiFetch(`/api/guests/${guestId}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ name: newName })
@@ -999,7 +1897,7 @@ async function deleteGuest(guestId) {
   if (!confirm('Remove this guest?')) return;
 
   try {
-    const res = await fetch(`${API_BASE}/api/guests/${guestId}`, { method: 'DELETE' });
+    const res = await apiFetch(`/api/guests/${guestId}`, { method: 'DELETE' });
     const data = await res.json();
 
     if (data.success) {
@@ -1022,13 +1920,13 @@ function renderFoursomes(times, confirmed) {
     const slots = groupings[time] || [null, null, null, null];
     const filledCount = slots.filter(s => s).length;
     const emptyCount = 4 - filledCount;
-    const canFit = emptyCount >= selectedPlayers.length;
+    const canFit = emptyCount >= selectedPlayers.length && getPreferenceConflicts(selectedPlayers, time).length === 0;
 
     return `
       <div class="foursome-card ${hasSelection ? 'selectable' : ''} ${hasSelection && canFit ? 'available' : ''}"
            onclick="${hasSelection ? `assignToFoursome('${time}')` : ''}">
         <div class="foursome-header">
-          <span class="foursome-time">${time}</span>
+          <span class="foursome-time">${formatTeeTime(time)}</span>
           <span class="foursome-count">${filledCount}/4</span>
         </div>
         <div class="foursome-slots" data-time="${time}">
@@ -1084,6 +1982,12 @@ function handleDrop(e) {
     return;
   }
 
+  const conflicts = getPreferenceConflicts([player], time);
+  if (conflicts.length > 0) {
+    showToast(`Can't play ${formatTeeTime(time)}: ${conflicts.join(', ')}`, 'error');
+    return;
+  }
+
   // Remove from any existing slot
   Object.keys(groupings).forEach(t => {
     const idx = groupings[t].indexOf(player);
@@ -1122,7 +2026,7 @@ function updateGroupingsPreview(times, event) {
 
   times.forEach((time, idx) => {
     const players = (groupings[time] || []).filter(p => p);
-    preview += `${time}: ${players.length > 0 ? players.join(', ') : '(empty)'}\n`;
+    preview += `${formatTeeTime(time)}: ${players.length > 0 ? players.join(', ') : '(empty)'}\n`;
   });
 
   previewEl.textContent = preview;
@@ -1153,7 +2057,7 @@ async function sendGroupings() {
   resultEl.className = 'result';
 
   try {
-    const res = await fetch(`${API_BASE}/api/event/send-groupings`, {
+    const res = await apiFetch(`/api/event/send-groupings`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ groupings, testMode })
@@ -1179,6 +2083,28 @@ async function sendGroupings() {
 }
 
 // Utility functions
+
+/**
+ * fetch() for /api routes: sends the session token and selected group, and
+ * drops back to the login screen when the session has expired
+ */
+async function apiFetch(path, options = {}) {
+  const headers = { ...(options.headers || {}), Authorization: `Bearer ${sessionToken}` };
+  if (currentGroupId) {
+    headers['X-Group-Id'] = currentGroupId;
+  }
+  if (currentEventId) {
+    headers['X-Event-Id'] = currentEventId;
+  }
+  const res = await fetch(`${API_BASE}${path}`, { ...options, headers });
+
+  if (res.status === 401) {
+    showLoginScreen();
+    loginError.textContent = 'Your session has expired. Please sign in again.';
+  }
+  return res;
+}
+
 function normalizePhone(input) {
   const digits = input.replace(/\D/g, '');
   if (digits.length === 10) return '+1' + digits;
@@ -1200,10 +2126,48 @@ function formatDateDisplay(dateStr) {
   return `${days[date.getDay()]} ${date.getMonth() + 1}/${date.getDate()}`;
 }
 
+// Tee times are stored as 24-hour "HH:MM"; older events may already hold "8:08 AM"
+function formatTeeTime(time) {
+  const match = String(time).match(/^(\d{2}):(\d{2})$/);
+  if (!match) return time;
+  const hours = parseInt(match[1], 10);
+  return `${hours % 12 || 12}:${match[2]} ${hours >= 12 ? 'PM' : 'AM'}`;
+}
+
+// Golfers' tee time preferences: "early", "late", "before HH:MM", "after HH:MM", "at HH:MM"
+function formatTimePreference(preference) {
+  if (!preference) return 'any tee time';
+  if (preference === 'early' || preference === 'late') return `${preference} times`;
+  const [kind, time] = preference.split(' ');
+  return kind === 'at' ? `${formatTeeTime(time)} only` : `${kind} ${formatTeeTime(time)}`;
+}
+
+// The tee times a preference allows (same rules as the server's getPreferredTimes)
+function getPreferredTimes(preference, times) {
+  if (!preference) return times;
+  const half = Math.ceil(times.length / 2);
+  if (preference === 'early') return times.slice(0, half);
+  if (preference === 'late') return times.slice(times.length - half);
+  const [kind, time] = preference.split(' ');
+  if (kind === 'before') return times.filter(t => t < time);
+  if (kind === 'after') return times.filter(t => t >= time);
+  return times.filter(t => t === time);
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker; show them in the group's timezone
+function formatTimestamp(sqliteTimestamp) {
+  const timeZone = (currentGroup && currentGroup.timezone) || defaultTimezone || undefined;
+  return new Date(sqliteTimestamp.replace(' ', 'T') + 'Z').toLocaleString([], { timeZone });
+}
+
+// Safe for both element content and quoted attribute values
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 function showToast(message, type = '') {
@@ -1219,6 +2183,7 @@ function showToast(message, type = '') {
 
 // Make functions available globally for onclick handlers
 window.openEditModal = openEditModal;
+window.openManagerModal = openManagerModal;
 window.removeFromSlot = removeFromSlot;
 window.handleDragStart = handleDragStart;
 window.handleDragOver = handleDragOver;
@@ -1229,6 +2194,5 @@ window.showGuestPicker = showGuestPicker;
 window.editGuest = editGuest;
 window.saveGuest = saveGuest;
 window.deleteGuest = deleteGuest;
-window.selectPlayer = selectPlayer;
 window.assignToFoursome = assignToFoursome;
 window.clearSelection = clearSelection;
@@ -4,28 +4,190 @@
 const express = require('express');
 const router = express.Router();
 const db = require('./db');
-const { createEventAndNotify, notifyBackupGolfers, recordResponse, generateSummary } = require('./events');
-const { formatTime, formatDateForDisplay } = require('./parser');
-const { sendSMS, sendToMany } = require('./sms');
+const { canText, resolveDeadline, isPastDeadline, buildAnnouncementMessage, createEvent, createEventAndNotify, closeEvent, notifyBackupGolfers, getAnnouncementDelivery, resendAnnouncement, remindNonResponders, recordResponse, updateQueue, notifyQueueChanges, getOfferHours, getMaybeHoldHours, getFirstTeeTime, generateSummary } = require('./events');
+const { parseTeeTime, parseTeeTimes, formatTeeTime, formatDateForDisplay } = require('./parser');
+const { getProviderName, sendSMS, sendToMany } = require('./sms');
+const { SOURCES, managerActor, recordAudit, getResponseSnapshot, golferSnapshot, getAuditLog } = require('./audit');
+const { getGroupFromNumber, createGroup } = require('./groups');
+const { parseReminderOffsets, scheduleEventJobs } = require('./scheduler');
+const { DEFAULT_TIMEZONE, isValidTimezone, getGroupTimezone } = require('./time');
+const { ROLES, requestLoginCode, verifyLoginCode, endSession, getBearerToken, requireSession, requireRole } = require('./auth');
 
-const MANAGER_PHONES = (process.env.MANAGER_PHONE || '').split(',').map(p => p.trim());
-const MAX_PLAYERS = 16;
+/**
+ * Text a one-time login code to a manager phone
+ */
+router.post('/auth/request-code', async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.json({ success: false, error: 'Invalid phone number' });
+    }
+
+    const result = await requestLoginCode(phone);
+    res.json(result);
+  } catch (err) {
+    console.error('Request code error:', err);
+    res.json({ success: false, error: 'Failed to send login code' });
+  }
+});
 
 /**
- * Verify if phone is authorized as manager
+ * Exchange a login code for a session token
  */
 router.post('/auth/verify', (req, res) => {
-  const { phone } = req.body;
-  const normalized = normalizePhone(phone);
-  const authorized = MANAGER_PHONES.includes(normalized);
-  res.json({ authorized });
+  const phone = normalizePhone(req.body.phone);
+  if (!phone) {
+    return res.json({ success: false, error: 'Invalid phone number' });
+  }
+
+  const result = verifyLoginCode(phone, req.body.code);
+  res.json(result);
+});
+
+/**
+ * End the current session
+ */
+router.post('/auth/logout', (req, res) => {
+  endSession(getBearerToken(req));
+  res.json({ success: true });
+});
+
+// Everything below requires a signed-in manager
+router.use(requireSession);
+
+/**
+ * Get the signed-in manager
+ */
+router.get('/auth/session', (req, res) => {
+  res.json({
+    phone: req.session.phone,
+    name: req.manager.name,
+    role: req.manager.role,
+    group: req.group,
+    defaultTimezone: DEFAULT_TIMEZONE,
+    defaultOfferHours: getOfferHours(null),
+    defaultMaybeHoldHours: getMaybeHoldHours(null),
+    defaultFirstTeeTime: getFirstTeeTime(null),
+    smsProvider: getProviderName(),
+    expiresAt: req.session.expires_at
+  });
+});
+
+/**
+ * Get the groups the signed-in manager belongs to (with their role in each)
+ */
+router.get('/groups', (req, res) => {
+  res.json(db.getGroupsForManagerPhone.all(req.session.phone));
+});
+
+/**
+ * Create a new group; the creator becomes its owner
+ */
+router.post('/groups', requireRole('owner'), (req, res) => {
+  try {
+    const { name, twilioNumber, contactName } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.json({ success: false, error: 'Group name is required' });
+    }
+
+    const number = twilioNumber ? normalizePhone(twilioNumber) : null;
+    if (twilioNumber && !number) {
+      return res.json({ success: false, error: 'Invalid Twilio number' });
+    }
+    if (number && db.getGroupByTwilioNumber.get(number)) {
+      return res.json({ success: false, error: 'That Twilio number is already used by another group' });
+    }
+
+    const group = createGroup({ name: name.trim(), twilioNumber: number, contactName: (contactName || '').trim() || null });
+    db.addManager.run(group.id, req.manager.name, req.session.phone, 'owner', 1);
+    res.json({ success: true, group });
+  } catch (err) {
+    console.error('Create group error:', err);
+    res.json({ success: false, error: 'Failed to create group' });
+  }
+});
+
+/**
+ * Update the current group's name, Twilio number and contact (owner only)
+ */
+router.put('/group', requireRole('owner'), (req, res) => {
+  try {
+    const { name, twilioNumber, contactName, reminderOffsets, timezone, offerHours, maybeHoldHours, firstTeeTime } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.json({ success: false, error: 'Group name is required' });
+    }
+
+    // Blank uses GROUP_TIMEZONE
+    const timeZone = (timezone || '').trim();
+    if (timeZone && !isValidTimezone(timeZone)) {
+      return res.json({ success: false, error: 'Unknown timezone. Use a name like America/New_York' });
+    }
+
+    // Blank uses WAITLIST_OFFER_HOURS; 0 promotes waitlisted golfers without asking
+    let hours = null;
+    if (offerHours !== undefined && offerHours !== null && String(offerHours).trim() !== '') {
+      hours = Number(offerHours);
+      if (!Number.isInteger(hours) || hours < 0 || hours > 48) {
+        return res.json({ success: false, error: 'Offer window must be 0 to 48 hours' });
+      }
+    }
+
+    // Blank uses MAYBE_HOLD_HOURS; 0 means a MAYBE doesn't hold a spot
+    let holdHours = null;
+    if (maybeHoldHours !== undefined && maybeHoldHours !== null && String(maybeHoldHours).trim() !== '') {
+      holdHours = Number(maybeHoldHours);
+      if (!Number.isInteger(holdHours) || holdHours < 0 || holdHours > 168) {
+        return res.json({ success: false, error: 'Maybe hold must be 0 to 168 hours' });
+      }
+    }
+
+    // Blank uses FIRST_TEE_TIME; taken as written ("6:30" is 6:30 AM)
+    let firstTime = null;
+    if (firstTeeTime && String(firstTeeTime).trim()) {
+      firstTime = parseTeeTime(firstTeeTime, '00:00');
+      if (!firstTime) {
+        return res.json({ success: false, error: 'First tee time must be a time like 6:30 or 7:00am' });
+      }
+    }
+
+    // Blank keeps the server default; "off" turns reminders off
+    const offsets = (reminderOffsets || '').trim();
+    if (offsets && !parseReminderOffsets(offsets)) {
+      return res.json({ success: false, error: 'Reminders must be up to 5 comma-separated hour counts, e.g. 48, 24' });
+    }
+
+    const number = twilioNumber ? normalizePhone(twilioNumber) : null;
+    if (twilioNumber && !number) {
+      return res.json({ success: false, error: 'Invalid Twilio number' });
+    }
+
+    const existing = number && db.getGroupByTwilioNumber.get(number);
+    if (existing && existing.id !== req.group.id) {
+      return res.json({ success: false, error: 'That Twilio number is already used by another group' });
+    }
+
+    db.updateGroup.run(name.trim(), number, (contactName || '').trim() || null, offsets || null, timeZone || null, hours, firstTime, holdHours, req.group.id);
+    res.json({ success: true, group: db.getGroupById.get(req.group.id) });
+  } catch (err) {
+    console.error('Update group error:', err);
+    res.json({ success: false, error: 'Failed to update group' });
+  }
+});
+
+/**
+ * List the group's open events (soonest first)
+ */
+router.get('/events', (req, res) => {
+  res.json(db.getOpenEvents.all(req.group.id));
 });
 
 /**
  * Get current event status with all response details
  */
 router.get('/event/status', (req, res) => {
-  const event = db.getActiveEvent.get();
+  const event = getRequestedEvent(req);
 
   if (!event) {
     return res.json({ event: null });
@@ -39,14 +201,14 @@ router.get('/event/status', (req, res) => {
  * Get manager's response for current event
  */
 router.get('/event/manager-status', (req, res) => {
-  const phone = req.query.phone;
-  const event = db.getActiveEvent.get();
+  const phone = req.session.phone;
+  const event = getRequestedEvent(req);
 
   if (!event) {
     return res.json({ response: null });
   }
 
-  const golfer = db.getGolferByPhone.get(phone);
+  const golfer = db.getGolferByPhone.get(req.group.id, phone);
   if (!golfer) {
     return res.json({ response: null });
   }
@@ -59,28 +221,54 @@ router.get('/event/manager-status', (req, res) => {
  * Create a new event
  * In test mode, doesn't send SMS notifications
  */
-router.post('/event/create', async (req, res) => {
+router.post('/event/create', requireRole('co-manager'), async (req, res) => {
   try {
-    const { date, course, times: timesRaw, testMode } = req.body;
+    const { date, course, times: timesRaw, maxPlayers: maxPlayersRaw, deadline: deadlineRaw, testMode } = req.body;
 
-    // Parse times from various formats
+    // Parse times from various formats ("808", "1:15p", "13:15"), AM/PM inferred from the group's first tee time
     const timesInput = timesRaw.split(/[,\/]/).map(t => t.trim()).filter(t => t);
-    const times = timesInput.map(formatTime).filter(t => t);
+    const { times, invalid } = parseTeeTimes(timesInput, getFirstTeeTime(req.group));
 
+    if (invalid.length > 0) {
+      return res.json({ success: false, error: `Invalid tee time: ${invalid.join(', ')}` });
+    }
     if (times.length === 0) {
       return res.json({ success: false, error: 'Invalid tee times format' });
     }
 
+    // Optional capacity override (default: 4 per tee time)
+    let maxPlayers = null;
+    if (maxPlayersRaw !== undefined && maxPlayersRaw !== null && maxPlayersRaw !== '') {
+      maxPlayers = parseInt(maxPlayersRaw, 10);
+      if (!(maxPlayers > 0)) {
+        return res.json({ success: false, error: 'Max players must be a positive number' });
+      }
+    }
+
     // Format date to YYYY-MM-DD
     const dateObj = new Date(date + 'T12:00:00');
     const formattedDate = dateObj.toISOString().split('T')[0];
 
+    // Optional response deadline, "YYYY-MM-DDTHH:MM" in the group's timezone
+    let deadline = null;
+    if (deadlineRaw) {
+      const match = String(deadlineRaw).match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/);
+      if (!match) {
+        return res.json({ success: false, error: 'Invalid deadline' });
+      }
+      deadline = resolveDeadline(req.group, formattedDate, { date: match[1], hours: parseInt(match[2], 10), minutes: parseInt(match[3], 10) });
+      if (isPastDeadline(deadline)) {
+        return res.json({ success: false, error: 'Deadline has already passed' });
+      }
+    }
+
     if (testMode) {
       // In test mode, create event without sending SMS
-      const result = await createEventWithoutNotify(formattedDate, course, times);
+      const result = await createEventWithoutNotify(req.group, formattedDate, course, times, maxPlayers, deadline, managerActor(req.manager));
       res.json({ success: true, eventId: result.eventId, notified: result.notified });
     } else {
-      const result = await createEventAndNotify(formattedDate, course, times);
+      const result = await createEventAndNotify(req.group, formattedDate, course, times, maxPlayers, deadline, managerActor(req.manager));
+      scheduleEventJobs(db.getEventById.get(result.eventId));
       res.json({ success: true, eventId: result.eventId, notified: result.notified });
     }
   } catch (err) {
@@ -92,14 +280,14 @@ router.post('/event/create', async (req, res) => {
 /**
  * Close the current event
  */
-router.post('/event/close', (req, res) => {
-  const event = db.getActiveEvent.get();
+router.post('/event/close', requireRole('co-manager'), (req, res) => {
+  const event = getRequestedEvent(req);
 
   if (!event) {
     return res.json({ success: false, error: 'No active event to close' });
   }
 
-  db.closeEvent.run(event.id);
+  closeEvent(event.id, managerActor(req.manager));
   res.json({ success: true });
 });
 
@@ -107,10 +295,10 @@ router.post('/event/close', (req, res) => {
  * Notify backup golfers for the current event
  * In test mode, doesn't send SMS notifications
  */
-router.post('/event/notify-backups', async (req, res) => {
+router.post('/event/notify-backups', requireRole('co-manager'), async (req, res) => {
   try {
     const { testMode } = req.body;
-    const event = db.getActiveEvent.get();
+    const event = getRequestedEvent(req);
 
     if (!event) {
       return res.json({ success: false, error: 'No active event' });
@@ -121,14 +309,11 @@ router.post('/event/notify-backups', async (req, res) => {
       if (event.backup_notified_at) {
         return res.json({ success: false, error: 'Backup golfers already notified' });
       }
-      const backupGolfers = db.getAllBackupGolfers.all();
+      const backupGolfers = db.getAllBackupGolfers.all(req.group.id).filter(canText);
       db.markBackupNotified.run(event.id);
 
       // Build the message that would be sent
-      const times = JSON.parse(event.times);
-      const displayDate = formatDateForDisplay(event.date);
-      const timesDisplay = times.join(', ');
-      const message = `Golf ${displayDate} at ${event.course}\nTee times: ${timesDisplay}\nFirst 16 in. Reply IN or OUT.`;
+      const message = buildAnnouncementMessage(event);
 
       console.log(`[TEST MODE] Would notify ${backupGolfers.length} backup golfers`);
       res.json({ success: true, notified: backupGolfers.length, message, recipients: backupGolfers.map(g => g.name) });
@@ -142,24 +327,74 @@ router.post('/event/notify-backups', async (req, res) => {
   }
 });
 
+/**
+ * Remind golfers who haven't responded to the current event
+ * In test mode, doesn't send SMS or record reminders
+ */
+router.post('/event/remind', requireRole('co-manager'), async (req, res) => {
+  try {
+    const { testMode } = req.body;
+    const event = getRequestedEvent(req);
+
+    if (!event) {
+      return res.json({ success: false, error: 'No active event' });
+    }
+
+    const result = await remindNonResponders(event.id, { dryRun: !!testMode });
+    if (!result.success) {
+      return res.json({ success: false, error: result.message });
+    }
+
+    if (testMode) {
+      console.log(`[TEST MODE] Would remind ${result.reminded} golfers`);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Remind error:', err);
+    res.json({ success: false, error: 'Failed to send reminders' });
+  }
+});
+
+/**
+ * Resend the current event's announcement to golfers it didn't reach
+ */
+router.post('/event/resend-announcement', requireRole('co-manager'), async (req, res) => {
+  try {
+    const event = getRequestedEvent(req);
+
+    if (!event) {
+      return res.json({ success: false, error: 'No active event' });
+    }
+
+    const result = resendAnnouncement(event.id);
+    if (!result.success) {
+      return res.json({ success: false, error: result.message });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Resend announcement error:', err);
+    res.json({ success: false, error: 'Failed to resend announcement' });
+  }
+});
+
 /**
  * Record manager's IN/OUT response
  */
 router.post('/event/respond', async (req, res) => {
   try {
-    const { phone, status } = req.body;
+    const { status } = req.body;
 
-    const golfer = db.getGolferByPhone.get(phone);
+    const golfer = db.getGolferByPhone.get(req.group.id, req.session.phone);
     if (!golfer) {
       return res.json({ success: false, error: 'Manager not found as golfer' });
     }
 
-    const event = db.getActiveEvent.get();
+    const event = getRequestedEvent(req);
     if (!event) {
       return res.json({ success: false, error: 'No active event' });
     }
 
-    const result = await recordResponse(golfer, event.id, status);
+    const result = await recordResponse(golfer, event.id, status, 0, managerActor(req.manager));
     res.json({ success: result.success, message: result.message });
   } catch (err) {
     console.error('Respond error:', err);
@@ -170,24 +405,24 @@ router.post('/event/respond', async (req, res) => {
 /**
  * Simulate a golfer's response (test mode only)
  */
-router.post('/event/simulate-response', async (req, res) => {
+router.post('/event/simulate-response', requireRole('co-manager'), async (req, res) => {
   try {
     const { golferId, status, guests = 0 } = req.body;
 
-    const event = db.getActiveEvent.get();
+    const event = getRequestedEvent(req);
     if (!event) {
       return res.json({ success: false, error: 'No active event' });
     }
 
     // Get golfer by ID
-    const golfer = db.db.prepare('SELECT * FROM golfers WHERE id = ?').get(golferId);
+    const golfer = getGroupGolfer(req, golferId);
     if (!golfer) {
       return res.json({ success: false, error: 'Golfer not found' });
     }
 
     // Record the response without sending SMS (simulated)
     // Use the real recordResponse for guest handling, but it won't send SMS in test mode
-    const result = await recordResponse(golfer, event.id, status, guests);
+    const result = await recordResponse(golfer, event.id, status, guests, managerActor(req.manager));
     res.json({ success: result.success, message: result.message, guests: result.guests });
   } catch (err) {
     console.error('Simulate response error:', err);
@@ -198,21 +433,21 @@ router.post('/event/simulate-response', async (req, res) => {
 /**
  * Generate random responses for all golfers (test mode)
  */
-router.post('/event/random-responses', async (req, res) => {
+router.post('/event/random-responses', requireRole('co-manager'), async (req, res) => {
   try {
-    const event = db.getActiveEvent.get();
+    const event = getRequestedEvent(req);
     if (!event) {
       return res.json({ success: false, error: 'No active event' });
     }
 
-    const golfers = db.getAllActiveGolfers.all();
+    const golfers = db.getAllActiveGolfers.all(req.group.id);
     let inCount = 0;
     let outCount = 0;
 
     for (const golfer of golfers) {
       // Random: 70% chance IN, 30% chance OUT
       const status = Math.random() < 0.7 ? 'in' : 'out';
-      await recordResponseSilent(golfer, event.id, status);
+      await recordResponseSilent(golfer, event.id, status, managerActor(req.manager));
 
       if (status === 'in') inCount++;
       else outCount++;
@@ -228,15 +463,30 @@ router.post('/event/random-responses', async (req, res) => {
 /**
  * Clear all responses for the current event (test mode)
  */
-router.post('/event/clear-responses', (req, res) => {
+router.post('/event/clear-responses', requireRole('co-manager'), (req, res) => {
   try {
-    const event = db.getActiveEvent.get();
+    const event = getRequestedEvent(req);
     if (!event) {
       return res.json({ success: false, error: 'No active event' });
     }
 
-    // Delete all responses for this event
-    db.db.prepare('DELETE FROM responses WHERE event_id = ?').run(event.id);
+    // Delete all responses for this event, with the guests, spot offers,
+    // MAYBE holds and pending jobs that hang off them
+    const cleared = db.db.transaction(() => {
+      const holds = db.getResponsesForEvent.all(event.id).filter(r => r.hold_expires_at).length;
+      return {
+        responses: db.deleteResponsesForEvent.run(event.id).changes,
+        guests: db.deleteGuestsForEvent.run(event.id).changes,
+        offers: db.deleteOffersForEvent.run(event.id).changes,
+        holds,
+        jobs: db.cancelPendingResponseJobsForEvent.run(event.id).changes
+      };
+    }).immediate();
+    recordAudit(managerActor(req.manager), 'responses_cleared', {
+      eventId: event.id,
+      before: cleared,
+      after: { responses: 0, guests: 0, offers: 0, holds: 0, jobs: 0 }
+    });
 
     res.json({ success: true });
   } catch (err) {
@@ -250,14 +500,7 @@ router.post('/event/clear-responses', (req, res) => {
  */
 router.get('/event/for-groupings', (req, res) => {
   // First try active event
-  let event = db.getActiveEvent.get();
-
-  // If no active event, get most recent closed event
-  if (!event) {
-    event = db.db.prepare(
-      "SELECT * FROM events WHERE status = 'closed' ORDER BY created_at DESC LIMIT 1"
-    ).get();
-  }
+  const event = getRequestedOrLatestEvent(req);
 
   if (!event) {
     return res.json({ event: null });
@@ -265,17 +508,22 @@ router.get('/event/for-groupings', (req, res) => {
 
   const responses = db.getResponsesForEvent.all(event.id);
   const guests = db.getGuestsForEvent.all(event.id);
+  const maxPlayers = event.max_players;
 
   // Combine confirmed golfers and guests
   const confirmedGolfers = responses
-    .filter(r => r.status === 'in' && r.position <= MAX_PLAYERS)
+    .filter(r => r.status === 'in' && r.position <= maxPlayers)
     .sort((a, b) => a.position - b.position)
     .map(r => ({ ...r, type: 'golfer' }));
 
+  // Guests play with their host, so they share the host's tee time preference
+  const hostPreferences = {};
+  responses.forEach(r => { hostPreferences[r.golfer_id] = r.time_preference; });
+
   const confirmedGuests = guests
-    .filter(g => g.position <= MAX_PLAYERS)
+    .filter(g => g.position <= maxPlayers)
     .sort((a, b) => a.position - b.position)
-    .map(g => ({ ...g, type: 'guest' }));
+    .map(g => ({ ...g, type: 'guest', time_preference: hostPreferences[g.host_golfer_id] || null }));
 
   const confirmed = [...confirmedGolfers, ...confirmedGuests]
     .sort((a, b) => a.position - b.position);
@@ -287,23 +535,18 @@ router.get('/event/for-groupings', (req, res) => {
  * Send groupings via SMS
  * In test mode, doesn't actually send SMS
  */
-router.post('/event/send-groupings', async (req, res) => {
+router.post('/event/send-groupings', requireRole('co-manager'), async (req, res) => {
   try {
     const { groupings, testMode } = req.body;
 
-    // Get most recent event (active or closed)
-    let event = db.getActiveEvent.get();
-    if (!event) {
-      event = db.db.prepare(
-        "SELECT * FROM events WHERE status = 'closed' ORDER BY created_at DESC LIMIT 1"
-      ).get();
-    }
+    // Get the selected event, or the most recent one (active or closed)
+    const event = getRequestedOrLatestEvent(req);
 
     if (!event) {
       return res.json({ success: false, error: 'No event found' });
     }
 
-    const dateStr = formatDateForDisplay(event.date);
+    const dateStr = formatDateForDisplay(event.date, getGroupTimezone(req.group));
 
     // Build the groupings message
     let message = `Golf ${dateStr} at ${event.course}\n\n`;
@@ -312,7 +555,7 @@ router.post('/event/send-groupings', async (req, res) => {
     times.forEach(time => {
       const players = (groupings[time] || []).filter(p => p);
       if (players.length > 0) {
-        message += `${time}: ${players.join(', ')}\n`;
+        message += `${formatTeeTime(time)}: ${players.join(', ')}\n`;
       }
     });
 
@@ -325,12 +568,13 @@ router.post('/event/send-groupings', async (req, res) => {
     });
 
     // Look up phone numbers
-    const allGolfers = db.getAllActiveGolfers.all();
+    const allGolfers = db.getAllActiveGolfers.all(req.group.id);
     const phones = [];
 
+    // Skip golfers who opted out of texts
     allPlayers.forEach(name => {
       const golfer = allGolfers.find(g => g.name === name);
-      if (golfer) {
+      if (golfer && canText(golfer)) {
         phones.push(golfer.phone);
       }
     });
@@ -346,8 +590,8 @@ router.post('/event/send-groupings', async (req, res) => {
       res.json({ success: true, sent: phones.length, failed: 0 });
     } else {
       // Send messages
-      const result = await sendToMany(phones, message);
-      res.json({ success: true, sent: result.succeeded, failed: result.failed });
+      const result = await sendToMany(phones, message, getGroupFromNumber(req.group), { eventId: event.id, kind: 'groupings' });
+      res.json({ success: true, sent: result.queued, failed: 0 });
     }
   } catch (err) {
     console.error('Send groupings error:', err);
@@ -359,14 +603,14 @@ router.post('/event/send-groupings', async (req, res) => {
  * Get all active golfers
  */
 router.get('/golfers', (req, res) => {
-  const golfers = db.getAllActiveGolfers.all();
+  const golfers = db.getAllActiveGolfers.all(req.group.id);
   res.json(golfers);
 });
 
 /**
  * Add a new golfer
  */
-router.post('/golfers', (req, res) => {
+router.post('/golfers', requireRole('co-manager'), (req, res) => {
   try {
     const { name, phone, tier = 'preferred' } = req.body;
     const normalized = normalizePhone(phone);
@@ -375,15 +619,20 @@ router.post('/golfers', (req, res) => {
       return res.json({ success: false, error: 'Invalid phone number' });
     }
 
-    // Check if phone already exists
-    const existing = db.getGolferByPhone.get(normalized);
+    // Check if phone already exists in this group
+    const existing = db.getGolferByPhone.get(req.group.id, normalized);
     if (existing) {
       return res.json({ success: false, error: 'Phone number already registered' });
     }
 
     // Validate tier
     const validTier = tier === 'backup' ? 'backup' : 'preferred';
-    db.addGolferWithTier.run(name, normalized, validTier);
+    const result = db.addGolferWithTier.run(req.group.id, name, normalized, validTier);
+    const golferId = result.lastInsertRowid;
+    recordAudit(managerActor(req.manager), 'golfer_add', {
+      golferId,
+      after: golferSnapshot(db.getGolferById.get(golferId))
+    });
     res.json({ success: true });
   } catch (err) {
     console.error('Add golfer error:', err);
@@ -394,24 +643,31 @@ router.post('/golfers', (req, res) => {
 /**
  * Update a golfer
  */
-router.put('/golfers/:id', (req, res) => {
+router.put('/golfers/:id', requireRole('co-manager'), (req, res) => {
   try {
     const { id } = req.params;
     const { name, phone, tier } = req.body;
     const normalized = normalizePhone(phone);
 
+    const golfer = getGroupGolfer(req, id);
+    if (!golfer) {
+      return res.json({ success: false, error: 'Golfer not found' });
+    }
+
     if (!normalized) {
       return res.json({ success: false, error: 'Invalid phone number' });
     }
 
     // Check if phone already exists for different golfer
-    const existing = db.getGolferByPhone.get(normalized);
+    const existing = db.getGolferByPhone.get(req.group.id, normalized);
     if (existing && existing.id !== parseInt(id)) {
       return res.json({ success: false, error: 'Phone number already in use' });
     }
 
+    const before = golferSnapshot(golfer);
+
     db.updateGolferPhone.run(normalized, id);
-    db.updateGolferName.run(name, normalized);
+    db.updateGolferName.run(name, id);
 
     // Update tier if provided
     if (tier) {
@@ -419,6 +675,12 @@ router.put('/golfers/:id', (req, res) => {
       db.updateGolferTier.run(validTier, id);
     }
 
+    recordAudit(managerActor(req.manager), 'golfer_update', {
+      golferId: parseInt(id, 10),
+      before,
+      after: golferSnapshot(db.getGolferById.get(id))
+    });
+
     res.json({ success: true });
   } catch (err) {
     console.error('Update golfer error:', err);
@@ -429,10 +691,21 @@ router.put('/golfers/:id', (req, res) => {
 /**
  * Remove (deactivate) a golfer
  */
-router.delete('/golfers/:id', (req, res) => {
+router.delete('/golfers/:id', requireRole('co-manager'), (req, res) => {
   try {
     const { id } = req.params;
+    const golfer = getGroupGolfer(req, id);
+    if (!golfer) {
+      return res.json({ success: false, error: 'Golfer not found' });
+    }
+
+    const before = golferSnapshot(golfer);
     db.deactivateGolfer.run(id);
+    recordAudit(managerActor(req.manager), 'golfer_remove', {
+      golferId: parseInt(id, 10),
+      before,
+      after: golferSnapshot(db.getGolferById.get(id))
+    });
     res.json({ success: true });
   } catch (err) {
     console.error('Delete golfer error:', err);
@@ -440,16 +713,46 @@ router.delete('/golfers/:id', (req, res) => {
   }
 });
 
+/**
+ * Get a golfer's conversation: their texts in (with the reply each got) and
+ * the texts sent to them, oldest first
+ */
+router.get('/golfers/:id/conversation', (req, res) => {
+  const golfer = getGroupGolfer(req, req.params.id);
+  if (!golfer) {
+    return res.json({ success: false, error: 'Golfer not found' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  const messages = [];
+
+  db.getInboundMessagesForGolfer.all(req.group.id, golfer.id, golfer.phone, limit).forEach(m => {
+    messages.push({ direction: 'in', body: m.body, intent: m.intent, eventId: m.event_id, createdAt: m.created_at, order: [m.created_at, 0, m.id, 0] });
+    if (m.reply) {
+      messages.push({ direction: 'out', kind: 'reply', body: m.reply, createdAt: m.created_at, order: [m.created_at, 0, m.id, 1] });
+    }
+  });
+
+  db.getOutboundMessagesToPhone.all(golfer.phone, getGroupFromNumber(req.group) || null, limit).forEach(m => {
+    messages.push({ direction: 'out', kind: m.kind, body: m.body, status: m.status, error: m.error, eventId: m.event_id, createdAt: m.created_at, order: [m.created_at, 1, m.id, 0] });
+  });
+
+  // Interleave by time; a text's reply follows it
+  const compare = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+  messages.sort((a, b) => compare(a.order[0], b.order[0]) || a.order[1] - b.order[1] || a.order[2] - b.order[2] || a.order[3] - b.order[3]);
+
+  res.json({
+    success: true,
+    golfer,
+    messages: messages.slice(-limit).map(({ order, ...m }) => m)
+  });
+});
+
 /**
  * Get all guests for current event
  */
 router.get('/guests', (req, res) => {
-  let event = db.getActiveEvent.get();
-  if (!event) {
-    event = db.db.prepare(
-      "SELECT * FROM events WHERE status = 'closed' ORDER BY created_at DESC LIMIT 1"
-    ).get();
-  }
+  const event = getRequestedOrLatestEvent(req);
 
   if (!event) {
     return res.json([]);
@@ -462,7 +765,7 @@ router.get('/guests', (req, res) => {
 /**
  * Update a guest's name
  */
-router.put('/guests/:id', (req, res) => {
+router.put('/guests/:id', requireRole('co-manager'), (req, res) => {
   try {
     const { id } = req.params;
     const { name } = req.body;
@@ -471,7 +774,18 @@ router.put('/guests/:id', (req, res) => {
       return res.json({ success: false, error: 'Name is required' });
     }
 
+    const guest = getGroupGuest(req, id);
+    if (!guest) {
+      return res.json({ success: false, error: 'Guest not found' });
+    }
+
     db.updateGuestName.run(name.trim(), id);
+    recordAudit(managerActor(req.manager), 'guest_rename', {
+      eventId: guest.event_id,
+      golferId: guest.host_golfer_id,
+      before: { name: guest.name },
+      after: { name: name.trim() }
+    });
     res.json({ success: true });
   } catch (err) {
     console.error('Update guest error:', err);
@@ -482,10 +796,21 @@ router.put('/guests/:id', (req, res) => {
 /**
  * Delete a guest
  */
-router.delete('/guests/:id', (req, res) => {
+router.delete('/guests/:id', requireRole('co-manager'), async (req, res) => {
   try {
     const { id } = req.params;
-    db.deleteGuest.run(id);
+    const guest = getGroupGuest(req, id);
+    if (!guest) {
+      return res.json({ success: false, error: 'Guest not found' });
+    }
+
+    const { changes } = updateQueue(guest.event_id, () => db.deleteGuest.run(id));
+    recordAudit(managerActor(req.manager), 'guest_remove', {
+      eventId: guest.event_id,
+      golferId: guest.host_golfer_id,
+      before: { name: guest.name, position: guest.position }
+    });
+    await notifyQueueChanges(db.getEventById.get(guest.event_id), changes);
     res.json({ success: true });
   } catch (err) {
     console.error('Delete guest error:', err);
@@ -493,7 +818,193 @@ router.delete('/guests/:id', (req, res) => {
   }
 });
 
+/**
+ * Get audit log entries
+ * Query filters: eventId, golferId, source, action, actor, since, until, limit
+ */
+router.get('/audit', (req, res) => {
+  const { eventId, golferId, source, action, actor, since, until, limit } = req.query;
+
+  if (source && !SOURCES.includes(source)) {
+    return res.json({ success: false, error: `Source must be one of: ${SOURCES.join(', ')}` });
+  }
+
+  const entries = getAuditLog(req.group.id, { eventId, golferId, source, action, actor, since, until, limit });
+  res.json({ success: true, entries });
+});
+
+/**
+ * Get the latest messages the outbox provider kept for the group's number
+ */
+router.get('/outbox', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const messages = db.getOutboxMessages.all(getGroupFromNumber(req.group) || null, limit);
+  res.json({ success: true, provider: getProviderName(), messages });
+});
+
+/**
+ * Get the scheduled jobs (auto-close, reminders, backups) for the current event
+ */
+router.get('/jobs', (req, res) => {
+  const event = getRequestedEvent(req);
+  if (!event) {
+    return res.json({ success: true, jobs: [] });
+  }
+
+  res.json({ success: true, jobs: db.getJobsForEvent.all(event.id) });
+});
+
+/**
+ * Cancel a pending scheduled job
+ */
+router.delete('/jobs/:id', requireRole('co-manager'), (req, res) => {
+  const job = db.getJobById.get(req.params.id);
+  if (!job || job.group_id !== req.group.id) {
+    return res.json({ success: false, error: 'Job not found' });
+  }
+
+  if (job.status !== 'pending') {
+    return res.json({ success: false, error: `Job already ${job.status}` });
+  }
+
+  db.cancelJob.run(job.id);
+  recordAudit(managerActor(req.manager), 'job_cancel', {
+    eventId: job.event_id,
+    before: { type: job.type, runAt: job.run_at, status: job.status },
+    after: { type: job.type, runAt: job.run_at, status: 'cancelled' }
+  });
+  res.json({ success: true });
+});
+
+/**
+ * Get all managers and their roles
+ */
+router.get('/managers', (req, res) => {
+  res.json(db.getAllManagers.all(req.group.id));
+});
+
+/**
+ * Add a manager (owner only)
+ */
+router.post('/managers', requireRole('owner'), (req, res) => {
+  try {
+    const { name, phone, role, notify = true } = req.body;
+    const normalized = normalizePhone(phone);
+
+    if (!normalized) {
+      return res.json({ success: false, error: 'Invalid phone number' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.json({ success: false, error: 'Invalid role' });
+    }
+
+    if (db.getManagerByPhone.get(req.group.id, normalized)) {
+      return res.json({ success: false, error: 'Phone number is already a manager' });
+    }
+
+    db.addManager.run(req.group.id, (name || '').trim() || null, normalized, role, notify ? 1 : 0);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Add manager error:', err);
+    res.json({ success: false, error: 'Failed to add manager' });
+  }
+});
+
+/**
+ * Update a manager's name, phone, role or notification opt-in (owner only)
+ */
+router.put('/managers/:id', requireRole('owner'), (req, res) => {
+  try {
+    const manager = getGroupManager(req, req.params.id);
+    if (!manager) {
+      return res.json({ success: false, error: 'Manager not found' });
+    }
+
+    const { name, phone, role, notify } = req.body;
+    const normalized = normalizePhone(phone);
+
+    if (!normalized) {
+      return res.json({ success: false, error: 'Invalid phone number' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.json({ success: false, error: 'Invalid role' });
+    }
+
+    const existing = db.getManagerByPhone.get(req.group.id, normalized);
+    if (existing && existing.id !== manager.id) {
+      return res.json({ success: false, error: 'Phone number is already a manager' });
+    }
+
+    if (manager.role === 'owner' && role !== 'owner' && db.getOwnerCount.get(req.group.id).count === 1) {
+      return res.json({ success: false, error: 'The group needs at least one owner' });
+    }
+
+    db.updateManager.run((name || '').trim() || null, normalized, role, notify ? 1 : 0, manager.id);
+
+    // Sign out the old number if the phone changed and it manages no other group
+    if (normalized !== manager.phone) {
+      signOutIfNoGroups(manager.phone);
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Update manager error:', err);
+    res.json({ success: false, error: 'Failed to update manager' });
+  }
+});
+
+/**
+ * Remove a manager (owner only)
+ */
+router.delete('/managers/:id', requireRole('owner'), (req, res) => {
+  try {
+    const manager = getGroupManager(req, req.params.id);
+    if (!manager) {
+      return res.json({ success: false, error: 'Manager not found' });
+    }
+
+    if (manager.role === 'owner' && db.getOwnerCount.get(req.group.id).count === 1) {
+      return res.json({ success: false, error: 'The group needs at least one owner' });
+    }
+
+    db.deleteManager.run(manager.id);
+    signOutIfNoGroups(manager.phone);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete manager error:', err);
+    res.json({ success: false, error: 'Failed to remove manager' });
+  }
+});
+
 // Helper functions
+
+/**
+ * Look up a golfer, guest or manager by ID only if it belongs to the request's group
+ */
+function getGroupGolfer(req, id) {
+  const golfer = db.getGolferById.get(id);
+  return golfer && golfer.group_id === req.group.id ? golfer : null;
+}
+
+function getGroupGuest(req, id) {
+  const guest = db.getGuestById.get(id);
+  const event = guest && db.getEventById.get(guest.event_id);
+  return event && event.group_id === req.group.id ? guest : null;
+}
+
+function getGroupManager(req, id) {
+  const manager = db.getManagerById.get(id);
+  return manager && manager.group_id === req.group.id ? manager : null;
+}
+
+function signOutIfNoGroups(phone) {
+  if (db.getGroupsForManagerPhone.all(phone).length === 0) {
+    db.deleteSessionsForPhone.run(phone);
+  }
+}
+
 function normalizePhone(input) {
   if (!input) return null;
   const digits = input.replace(/\D/g, '');
@@ -502,11 +1013,40 @@ function normalizePhone(input) {
   return null;
 }
 
+/**
+ * The open event a dashboard request is about: the X-Event-Id header,
+ * or the group's soonest open event when none is given
+ */
+function getRequestedEvent(req) {
+  const eventId = parseInt(req.get('X-Event-Id'), 10);
+  if (!eventId) {
+    return db.getOpenEvents.all(req.group.id)[0] || null;
+  }
+
+  const event = db.getEventById.get(eventId);
+  return event && event.group_id === req.group.id && event.status === 'open' ? event : null;
+}
+
+/**
+ * Like getRequestedEvent, but a closed event may be selected and the
+ * group's most recently closed event is the fallback (for groupings)
+ */
+function getRequestedOrLatestEvent(req) {
+  const eventId = parseInt(req.get('X-Event-Id'), 10);
+  if (eventId) {
+    const event = db.getEventById.get(eventId);
+    return event && event.group_id === req.group.id ? event : null;
+  }
+
+  return db.getOpenEvents.all(req.group.id)[0] || db.getLatestClosedEvent.get(req.group.id) || null;
+}
+
 function getEventStatusData(event) {
   const responses = db.getResponsesForEvent.all(event.id);
   const guests = db.getGuestsForEvent.all(event.id);
-  const allGolfers = db.getAllActiveGolfers.all();
-  const backupGolfers = db.getAllBackupGolfers.all();
+  const allGolfers = db.getAllActiveGolfers.all(event.group_id);
+  const backupGolfers = db.getAllBackupGolfers.all(event.group_id).filter(canText);
+  const maxPlayers = event.max_players;
 
   // Build guest count per golfer
   const guestCountByGolfer = {};
@@ -516,13 +1056,13 @@ function getEventStatusData(event) {
 
   // Confirmed golfers (with guest count)
   const confirmedGolfers = responses
-    .filter(r => r.status === 'in' && r.position <= MAX_PLAYERS)
+    .filter(r => r.status === 'in' && r.position <= maxPlayers)
     .sort((a, b) => a.position - b.position)
     .map(r => ({ ...r, type: 'golfer', guests: guestCountByGolfer[r.golfer_id] || 0 }));
 
   // Confirmed guests
   const confirmedGuests = guests
-    .filter(g => g.position <= MAX_PLAYERS)
+    .filter(g => g.position <= maxPlayers)
     .sort((a, b) => a.position - b.position)
     .map(g => ({ ...g, type: 'guest' }));
 
@@ -531,13 +1071,13 @@ function getEventStatusData(event) {
 
   // Waitlist golfers (with guest count)
   const waitlistGolfers = responses
-    .filter(r => r.status === 'in' && r.position > MAX_PLAYERS)
+    .filter(r => r.status === 'in' && r.position > maxPlayers)
     .sort((a, b) => a.position - b.position)
     .map(r => ({ ...r, type: 'golfer', guests: guestCountByGolfer[r.golfer_id] || 0 }));
 
   // Waitlist guests
   const waitlistGuests = guests
-    .filter(g => g.position > MAX_PLAYERS)
+    .filter(g => g.position > maxPlayers)
     .sort((a, b) => a.position - b.position)
     .map(g => ({ ...g, type: 'guest' }));
 
@@ -546,38 +1086,49 @@ function getEventStatusData(event) {
 
   const out = responses.filter(r => r.status === 'out');
 
+  // Maybes don't count toward the field; those holding a spot have a position
+  const maybe = responses.filter(r => r.status === 'maybe');
+
+  // Reminders sent to each golfer who hasn't responded
+  const remindersByGolfer = {};
+  db.getReminderCountsForEvent.all(event.id).forEach(r => {
+    remindersByGolfer[r.golfer_id] = r;
+  });
+
   const respondedIds = new Set(responses.map(r => r.golfer_id));
-  const noResponse = allGolfers.filter(g => !respondedIds.has(g.id));
+  const noResponse = allGolfers
+    .filter(g => !respondedIds.has(g.id))
+    .map(g => ({
+      ...g,
+      reminders: remindersByGolfer[g.id]?.count || 0,
+      lastRemindedAt: remindersByGolfer[g.id]?.last_sent_at || null
+    }));
+
+  // Waitlisted golfers holding a spot until they accept
+  const offers = db.getPendingOffersForEvent.all(event.id);
+
+  // Golfers the announcement text didn't reach
+  const delivery = getAnnouncementDelivery(event.id);
 
   // Backup info
   const backupNotifiedAt = event.backup_notified_at;
   const backupCount = backupGolfers.length;
 
-  return { event, confirmed, waitlist, out, noResponse, guests, backupNotifiedAt, backupCount };
+  return { event, confirmed, waitlist, offers, maybe, out, noResponse, guests, delivery, backupNotifiedAt, backupCount };
 }
 
 /**
  * Create event without sending SMS notifications (for test mode)
  */
-async function createEventWithoutNotify(date, course, times) {
-  // Close any existing open events
-  const existingEvent = db.getActiveEvent.get();
-  if (existingEvent) {
-    db.closeEvent.run(existingEvent.id);
-  }
-
-  // Create new event
-  const timesStr = JSON.stringify(times);
-  const result = db.createEvent.run(date, course, timesStr);
-  const eventId = result.lastInsertRowid;
+async function createEventWithoutNotify(group, date, course, times, maxPlayers, deadline, actor) {
+  const eventId = createEvent(group, date, course, times, maxPlayers, deadline, actor);
+  const event = db.getEventById.get(eventId);
 
   // Count how many preferred golfers would be notified
-  const golfers = db.getAllPreferredGolfers.all();
+  const golfers = db.getAllPreferredGolfers.all(group.id).filter(canText);
 
   // Build the message that would be sent
-  const displayDate = formatDateForDisplay(date);
-  const timesDisplay = times.join(', ');
-  const message = `Golf ${displayDate} at ${course}\nTee times: ${timesDisplay}\nFirst 16 in. Reply IN or OUT.`;
+  const message = buildAnnouncementMessage(event);
 
   console.log(`[TEST MODE] Event ${eventId} created for ${date}, would notify ${golfers.length} preferred golfers`);
   return { eventId, notified: golfers.length, message, recipients: golfers.map(g => g.name) };
@@ -586,92 +1137,71 @@ async function createEventWithoutNotify(date, course, times) {
 /**
  * Record response without sending SMS (for simulated responses)
  */
-async function recordResponseSilent(golfer, eventId, status) {
+async function recordResponseSilent(golfer, eventId, status, actor) {
   const event = db.getEventById.get(eventId);
   if (!event) {
     return { success: false, message: 'No active event' };
   }
 
-  // Check current response
-  const existingResponse = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
-  const wasIn = existingResponse?.status === 'in';
+  const maxPlayers = event.max_players;
+  const before = getResponseSnapshot(eventId, golfer.id);
+  const audit = () => recordAudit(actor, 'rsvp', {
+    eventId,
+    golferId: golfer.id,
+    before,
+    after: getResponseSnapshot(eventId, golfer.id)
+  });
 
   if (status === 'in') {
-    // Get current count of confirmed players
-    const { count } = db.getInCountForEvent.get(eventId);
-
-    if (existingResponse?.status === 'in') {
-      // Already in, no change needed
-      const pos = existingResponse.position;
-      if (pos <= MAX_PLAYERS) {
-        return { success: true, message: `Already in (#${pos} of ${MAX_PLAYERS})`, position: pos };
-      } else {
-        return { success: true, message: `Already on waitlist #${pos - MAX_PLAYERS}`, position: pos };
+    const { result: added } = updateQueue(eventId, nextPosition => {
+      const existingResponse = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
+      if (existingResponse?.status === 'in') {
+        // Already in, no change needed
+        return false;
       }
-    }
+      // Accepting a spot offer, or a maybe, takes the spot it held
+      const heldPosition = ['offered', 'maybe'].includes(existingResponse?.status) ? existingResponse.position : null;
+      db.upsertResponse.run(eventId, golfer.id, 'in', heldPosition || nextPosition());
+      if (existingResponse?.status === 'offered') {
+        db.resolveOffer.run('accepted', eventId, golfer.id);
+      }
+      return true;
+    });
 
-    let position;
-    if (count < MAX_PLAYERS) {
-      position = count + 1;
-    } else {
-      const { next_pos } = db.getNextWaitlistPosition.get(eventId);
-      position = next_pos;
+    const { position } = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
+    if (!added) {
+      if (position <= maxPlayers) {
+        return { success: true, message: `Already in (#${position} of ${maxPlayers})`, position };
+      } else {
+        return { success: true, message: `Already on waitlist #${position - maxPlayers}`, position };
+      }
     }
 
-    db.upsertResponse.run(eventId, golfer.id, 'in', position);
+    audit();
 
-    if (position <= MAX_PLAYERS) {
-      return { success: true, message: `In (#${position} of ${MAX_PLAYERS})`, position };
+    if (position <= maxPlayers) {
+      return { success: true, message: `In (#${position} of ${maxPlayers})`, position };
     } else {
-      const waitlistPos = position - MAX_PLAYERS;
+      const waitlistPos = position - maxPlayers;
       return { success: true, message: `Waitlist #${waitlistPos}`, position };
     }
 
   } else if (status === 'out') {
-    const previousPosition = existingResponse?.position;
-
-    db.upsertResponse.run(eventId, golfer.id, 'out', null);
-
-    // If they were in the top 16, bump up waitlist (silently)
-    if (wasIn && previousPosition && previousPosition <= MAX_PLAYERS) {
-      await bumpWaitlistSilent(eventId);
-    }
+    // Anyone moved up off the waitlist is audited but not texted
+    const { changes } = updateQueue(eventId, () => {
+      db.resolveOffer.run('declined', eventId, golfer.id);
+      db.upsertResponse.run(eventId, golfer.id, 'out', null);
+      db.deleteGuestsByHost.run(eventId, golfer.id);
+      db.setTimePreference.run(null, eventId, golfer.id);
+    });
+    audit();
 
+    changes.offered.forEach(r => console.log(`[SILENT] Offered ${r.name} position ${r.position}`));
+    changes.promoted.forEach(r => console.log(`[SILENT] Bumped ${r.name} from waitlist to position ${r.position}`));
     return { success: true, message: "Out" };
   }
 
   return { success: false, message: 'Invalid status' };
 }
 
-/**
- * Bump waitlist without sending SMS notification
- */
-async function bumpWaitlistSilent(eventId) {
-  const waitlisted = db.getFirstWaitlisted.get(eventId);
-  if (!waitlisted) {
-    return null;
-  }
-
-  // Find the next available position in top 16
-  const responses = db.getResponsesForEvent.all(eventId);
-  const takenPositions = new Set(
-    responses
-      .filter(r => r.status === 'in' && r.position <= MAX_PLAYERS)
-      .map(r => r.position)
-  );
-
-  let newPosition = 1;
-  while (takenPositions.has(newPosition) && newPosition <= MAX_PLAYERS) {
-    newPosition++;
-  }
-
-  if (newPosition <= MAX_PLAYERS) {
-    db.updatePosition.run(newPosition, waitlisted.id);
-    console.log(`[SILENT] Bumped ${waitlisted.name} from waitlist to position ${newPosition}`);
-    return waitlisted;
-  }
-
-  return null;
-}
-
 module.exports = router;
@@ -0,0 +1,142 @@
+/**
+ * Audit log of roster and RSVP changes
+ *
+ * Every change records who made it (actor), where it came from
+ * (source: 'sms', 'web' or 'system') and before/after snapshots.
+ */
+const db = require('./db');
+
+const SOURCES = ['sms', 'web', 'system'];
+
+const SYSTEM_ACTOR = { actor: 'system', actorPhone: null, source: 'system' };
+
+/**
+ * Build an actor for a golfer acting on their own behalf
+ */
+function golferActor(golfer, source = 'sms') {
+  return { actor: golfer.name, actorPhone: golfer.phone, source };
+}
+
+/**
+ * Build an actor for a manager (SMS command or dashboard)
+ */
+function managerActor(manager, source = 'web') {
+  return { actor: manager.name || manager.phone, actorPhone: manager.phone, source };
+}
+
+/**
+ * Record one change
+ * @param {Object} who - Actor from golferActor/managerActor/SYSTEM_ACTOR
+ * @param {string} action - e.g. 'rsvp', 'waitlist_bump', 'golfer_update'
+ * @param {Object} details - { groupId, eventId, golferId, before, after }
+ *   groupId defaults to the event's or golfer's group
+ */
+function recordAudit(who, action, { groupId = null, eventId = null, golferId = null, before = null, after = null } = {}) {
+  const actor = who || SYSTEM_ACTOR;
+  if (!groupId) {
+    const owner = (eventId && db.getEventById.get(eventId)) || (golferId && db.getGolferById.get(golferId));
+    groupId = owner ? owner.group_id : null;
+  }
+
+  db.addAuditEntry.run(
+    groupId,
+    eventId,
+    golferId,
+    action,
+    actor.actor,
+    actor.actorPhone || null,
+    actor.source,
+    before === null ? null : JSON.stringify(before),
+    after === null ? null : JSON.stringify(after)
+  );
+}
+
+/**
+ * Snapshot of a golfer's RSVP for an event (null if no response)
+ */
+function getResponseSnapshot(eventId, golferId) {
+  const response = db.getResponseByGolferAndEvent.get(eventId, golferId);
+  if (!response) return null;
+
+  const guests = db.getGuestsByHost.all(eventId, golferId);
+  return {
+    status: response.status,
+    position: response.position,
+    timePreference: response.time_preference || null,
+    guests: guests.map(g => ({ id: g.id, name: g.name, position: g.position }))
+  };
+}
+
+/**
+ * Snapshot of a golfer's roster record
+ */
+function golferSnapshot(golfer) {
+  if (!golfer) return null;
+  return { name: golfer.name, phone: golfer.phone, tier: golfer.tier, active: golfer.active };
+}
+
+/**
+ * Query a group's audit log
+ * Filters: eventId, golferId, source, action, actor, since, until, limit
+ */
+function getAuditLog(groupId, filters = {}) {
+  const where = ['a.group_id = ?'];
+  const params = [groupId];
+
+  if (filters.eventId) {
+    where.push('a.event_id = ?');
+    params.push(filters.eventId);
+  }
+  if (filters.golferId) {
+    where.push('a.golfer_id = ?');
+    params.push(filters.golferId);
+  }
+  if (filters.source) {
+    where.push('a.source = ?');
+    params.push(filters.source);
+  }
+  if (filters.action) {
+    where.push('a.action = ?');
+    params.push(filters.action);
+  }
+  if (filters.actor) {
+    where.push('(a.actor LIKE ? OR a.actor_phone LIKE ?)');
+    params.push(`%${filters.actor}%`, `%${filters.actor}%`);
+  }
+  if (filters.since) {
+    where.push('a.created_at >= ?');
+    params.push(filters.since);
+  }
+  if (filters.until) {
+    where.push('a.created_at <= ?');
+    params.push(filters.until);
+  }
+
+  const limit = Math.min(parseInt(filters.limit, 10) || 200, 1000);
+
+  const rows = db.db.prepare(`
+    SELECT a.*, g.name as golfer_name
+    FROM audit_log a
+    LEFT JOIN golfers g ON a.golfer_id = g.id
+    WHERE ${where.join(' AND ')}
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT ${limit}
+  `).all(...params);
+
+  return rows.map(r => ({
+    ...r,
+    before_value: r.before_value ? JSON.parse(r.before_value) : null,
+    after_value: r.after_value ? JSON.parse(r.after_value) : null
+  }));
+}
+
+module.exports = {
+  SOURCES,
+  SYSTEM_ACTOR,
+  golferActor,
+  managerActor,
+  recordAudit,
+  getResponseSnapshot,
+  golferSnapshot,
+  getAuditLog
+};
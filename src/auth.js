@@ -0,0 +1,163 @@
+/**
+ * Manager login (SMS one-time codes, server-side sessions) and roles
+ */
+const crypto = require('crypto');
+const db = require('./db');
+const { sendSMS } = require('./sms');
+
+// Roles in increasing order of access:
+//   viewer     - read-only dashboard, STATUS/LIST over SMS
+//   co-manager - run events and manage the roster
+//   owner      - everything, plus adding and removing managers
+const ROLES = ['viewer', 'co-manager', 'owner'];
+
+const CODE_TTL_MINUTES = 10;
+const CODE_MAX_ATTEMPTS = 5;
+const CODES_PER_WINDOW = 3;
+const CODE_WINDOW_MINUTES = 15;
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS, 10) || 7;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Get the manager record for a phone in a group (null if not a manager there)
+ */
+function getManager(groupId, phone) {
+  if (!groupId || !phone) return null;
+  return db.getManagerByPhone.get(groupId, phone) || null;
+}
+
+/**
+ * Check whether a manager's role grants at least the given role
+ */
+function hasRole(manager, minRole) {
+  if (!manager) return false;
+  return ROLES.indexOf(manager.role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Text a one-time login code to a manager phone
+ * Returns: { success, error? }
+ */
+async function requestLoginCode(phone) {
+  if (db.getGroupsForManagerPhone.all(phone).length === 0) {
+    return { success: false, error: 'Phone number not authorized as manager' };
+  }
+
+  const { count } = db.getRecentLoginCodeCount.get(phone, `-${CODE_WINDOW_MINUTES} minutes`);
+  if (count >= CODES_PER_WINDOW) {
+    return { success: false, error: 'Too many codes requested. Try again in a few minutes.' };
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  db.createLoginCode.run(phone, hash(code), `+${CODE_TTL_MINUTES} minutes`);
+
+  await sendSMS(phone, `Your Tee Time Manager login code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`, undefined, { kind: 'login' });
+  return { success: true };
+}
+
+/**
+ * Check a login code and open a session
+ * Returns: { success, token?, error? }
+ */
+function verifyLoginCode(phone, code) {
+  const loginCode = db.getLatestLoginCode.get(phone);
+
+  if (!loginCode) {
+    return { success: false, error: 'Code expired. Request a new one.' };
+  }
+
+  if (loginCode.attempts >= CODE_MAX_ATTEMPTS) {
+    return { success: false, error: 'Too many attempts. Request a new code.' };
+  }
+
+  const expected = Buffer.from(loginCode.code_hash, 'hex');
+  const actual = Buffer.from(hash(String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    db.incrementLoginCodeAttempts.run(loginCode.id);
+    return { success: false, error: 'Incorrect code' };
+  }
+
+  db.deleteLoginCodesForPhone.run(phone);
+  db.deleteExpiredSessions.run();
+  db.deleteExpiredLoginCodes.run();
+
+  const token = crypto.randomBytes(32).toString('hex');
+  db.createSession.run(hash(token), phone, `+${SESSION_TTL_DAYS} days`);
+
+  console.log(`Manager session opened for ${phone}`);
+  return { success: true, token };
+}
+
+/**
+ * Look up the session for a bearer token (null if missing or expired)
+ */
+function getSession(token) {
+  if (!token) return null;
+  return db.getSessionByTokenHash.get(hash(token)) || null;
+}
+
+function endSession(token) {
+  if (!token) return;
+  db.deleteSessionByTokenHash.run(hash(token));
+}
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware: reject requests without a valid manager session
+ * The group comes from the X-Group-Id header (default: the manager's first group)
+ * Sets req.session, req.group and req.manager (the manager record in that group)
+ */
+function requireSession(req, res, next) {
+  const session = getSession(getBearerToken(req));
+
+  // A manager removed from every group loses access immediately
+  const groups = session ? db.getGroupsForManagerPhone.all(session.phone) : [];
+  if (groups.length === 0) {
+    return res.status(401).json({ success: false, error: 'Not signed in' });
+  }
+
+  const requestedId = parseInt(req.get('X-Group-Id'), 10);
+  const group = requestedId ? groups.find(g => g.id === requestedId) : groups[0];
+  if (!group) {
+    return res.status(403).json({ success: false, error: 'Not a manager of that group' });
+  }
+
+  req.session = session;
+  req.group = db.getGroupById.get(group.id);
+  req.manager = getManager(group.id, session.phone);
+  next();
+}
+
+/**
+ * Express middleware factory: require at least the given role
+ * Must run after requireSession
+ */
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!hasRole(req.manager, minRole)) {
+      return res.status(403).json({ success: false, error: `Requires ${minRole} access` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  getManager,
+  hasRole,
+  requestLoginCode,
+  verifyLoginCode,
+  getSession,
+  endSession,
+  getBearerToken,
+  requireSession,
+  requireRole
+};
@@ -2,26 +2,40 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
-const dataDir = path.join(__dirname, '..', 'data');
+// DB_PATH points somewhere else (tests use a throwaway database)
+const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'teetimes.db');
+const dataDir = path.dirname(dbPath);
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-const db = new Database(path.join(dataDir, 'teetimes.db'));
+const db = new Database(dbPath);
 
 // Initialize tables
 db.exec(`
+  CREATE TABLE IF NOT EXISTS groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    slug TEXT UNIQUE NOT NULL,
+    twilio_number TEXT UNIQUE,
+    contact_name TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
   CREATE TABLE IF NOT EXISTS golfers (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER NOT NULL DEFAULT 1,
     name TEXT NOT NULL,
-    phone TEXT UNIQUE NOT NULL,
+    phone TEXT NOT NULL,
     active INTEGER DEFAULT 1,
     tier TEXT DEFAULT 'preferred',
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(group_id, phone)
   );
 
   CREATE TABLE IF NOT EXISTS events (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER NOT NULL DEFAULT 1,
     date TEXT NOT NULL,
     course TEXT,
     times TEXT NOT NULL,
@@ -53,6 +67,167 @@ db.exec(`
     FOREIGN KEY (event_id) REFERENCES events(id),
     FOREIGN KEY (host_golfer_id) REFERENCES golfers(id)
   );
+
+  CREATE TABLE IF NOT EXISTS managers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER NOT NULL DEFAULT 1,
+    name TEXT,
+    phone TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'co-manager',
+    notify INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(group_id, phone)
+  );
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER,
+    event_id INTEGER,
+    golfer_id INTEGER,
+    action TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    actor_phone TEXT,
+    source TEXT NOT NULL,
+    before_value TEXT,
+    after_value TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_log_event ON audit_log(event_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_golfer ON audit_log(golfer_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS login_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash TEXT UNIQUE NOT NULL,
+    phone TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER NOT NULL,
+    event_id INTEGER,
+    type TEXT NOT NULL,
+    run_at TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    result TEXT,
+    completed_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (group_id) REFERENCES groups(id),
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(status, run_at);
+  CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_event ON scheduled_jobs(event_id);
+
+  CREATE TABLE IF NOT EXISTS reminders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    golfer_id INTEGER NOT NULL,
+    job_id INTEGER,
+    sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (golfer_id) REFERENCES golfers(id),
+    FOREIGN KEY (job_id) REFERENCES scheduled_jobs(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reminders_event ON reminders(event_id, golfer_id, sent_at);
+
+  CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    golfer_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    expires_at TEXT NOT NULL,
+    responded_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (golfer_id) REFERENCES golfers(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_waitlist_offers_event ON waitlist_offers(event_id, status);
+
+  CREATE TABLE IF NOT EXISTS outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    to_phone TEXT NOT NULL,
+    from_phone TEXT,
+    body TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_outbox_from ON outbox(from_phone, id);
+
+  CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER,
+    kind TEXT,
+    to_phone TEXT NOT NULL,
+    from_phone TEXT,
+    body TEXT NOT NULL,
+    provider TEXT,
+    provider_id TEXT,
+    status TEXT NOT NULL DEFAULT 'queued',
+    priority INTEGER DEFAULT 0,
+    attempts INTEGER DEFAULT 0,
+    error TEXT,
+    next_attempt_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_messages_event ON messages(event_id, kind);
+  CREATE INDEX IF NOT EXISTS idx_messages_provider ON messages(provider_id);
+  CREATE INDEX IF NOT EXISTS idx_messages_retry ON messages(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_messages_to ON messages(to_phone, id);
+
+  CREATE TABLE IF NOT EXISTS inbound_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER NOT NULL,
+    from_phone TEXT NOT NULL,
+    to_phone TEXT,
+    body TEXT NOT NULL,
+    golfer_id INTEGER,
+    manager_id INTEGER,
+    event_id INTEGER,
+    intent TEXT,
+    reply TEXT,
+    provider_id TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (group_id) REFERENCES groups(id),
+    FOREIGN KEY (golfer_id) REFERENCES golfers(id),
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_inbound_messages_golfer ON inbound_messages(group_id, golfer_id, id);
+  CREATE INDEX IF NOT EXISTS idx_inbound_messages_from ON inbound_messages(group_id, from_phone, id);
+
+  CREATE TABLE IF NOT EXISTS conversation_state (
+    golfer_id INTEGER PRIMARY KEY,
+    state TEXT NOT NULL,
+    event_id INTEGER,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (golfer_id) REFERENCES golfers(id),
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS pending_announcements (
+    manager_id INTEGER PRIMARY KEY,
+    data TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
 `);
 
 // Migration: Add tier column to existing golfers table if it doesn't exist
@@ -69,20 +244,226 @@ try {
   // Column already exists, ignore
 }
 
-// Golfer queries
-const addGolfer = db.prepare('INSERT OR IGNORE INTO golfers (name, phone) VALUES (?, ?)');
-const addGolferWithTier = db.prepare('INSERT OR IGNORE INTO golfers (name, phone, tier) VALUES (?, ?, ?)');
-const getGolferByPhone = db.prepare('SELECT * FROM golfers WHERE phone = ?');
+// Migration: Create the default group (id 1) that pre-group data belongs to
+if (db.prepare('SELECT COUNT(*) as count FROM groups').get().count === 0) {
+  db.prepare('INSERT INTO groups (id, name, slug, twilio_number, contact_name) VALUES (1, ?, ?, ?, ?)').run(
+    process.env.GROUP_NAME || 'Wigwam Degenerates Sunday Golf Group',
+    'default',
+    process.env.TWILIO_PHONE_NUMBER || null,
+    process.env.GROUP_CONTACT_NAME || 'Jay McNallie'
+  );
+}
+
+// Migration: Rebuild golfers and managers so phone is unique per group instead of globally
+function hasColumn(table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+if (!hasColumn('golfers', 'group_id') || !hasColumn('managers', 'group_id')) {
+  db.pragma('foreign_keys = OFF');
+  db.transaction(() => {
+    if (!hasColumn('golfers', 'group_id')) {
+      db.exec(`
+        CREATE TABLE golfers_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          group_id INTEGER NOT NULL DEFAULT 1,
+          name TEXT NOT NULL,
+          phone TEXT NOT NULL,
+          active INTEGER DEFAULT 1,
+          tier TEXT DEFAULT 'preferred',
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(group_id, phone)
+        );
+        INSERT INTO golfers_new (id, group_id, name, phone, active, tier, created_at)
+          SELECT id, 1, name, phone, active, tier, created_at FROM golfers;
+        DROP TABLE golfers;
+        ALTER TABLE golfers_new RENAME TO golfers;
+      `);
+    }
+    if (!hasColumn('managers', 'group_id')) {
+      db.exec(`
+        CREATE TABLE managers_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          group_id INTEGER NOT NULL DEFAULT 1,
+          name TEXT,
+          phone TEXT NOT NULL,
+          role TEXT NOT NULL DEFAULT 'co-manager',
+          notify INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(group_id, phone)
+        );
+        INSERT INTO managers_new (id, group_id, name, phone, role, notify, created_at)
+          SELECT id, 1, name, phone, role, notify, created_at FROM managers;
+        DROP TABLE managers;
+        ALTER TABLE managers_new RENAME TO managers;
+      `);
+    }
+  })();
+}
+
+// Migration: Add group_id to existing events and audit_log tables
+try {
+  db.exec(`ALTER TABLE events ADD COLUMN group_id INTEGER NOT NULL DEFAULT 1`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec(`ALTER TABLE audit_log ADD COLUMN group_id INTEGER`);
+  db.exec(`UPDATE audit_log SET group_id = 1`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add per-group reminder schedule (hours before the deadline, e.g. "48,24")
+try {
+  db.exec(`ALTER TABLE groups ADD COLUMN reminder_offsets TEXT`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add group timezone and per-event response deadline (UTC timestamp)
+try {
+  db.exec(`ALTER TABLE groups ADD COLUMN timezone TEXT`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec(`ALTER TABLE events ADD COLUMN deadline TEXT`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add the waitlist number a golfer was last texted, so small moves up don't each send a text
+try {
+  db.exec(`ALTER TABLE responses ADD COLUMN waitlist_notified INTEGER`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add per-group waitlist offer window in hours (0 = promote straight into the field)
+try {
+  db.exec(`ALTER TABLE groups ADD COLUMN offer_hours INTEGER`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add SMS opt-out state to golfers (set by STOP, cleared by START)
+try {
+  db.exec(`ALTER TABLE golfers ADD COLUMN opted_out INTEGER DEFAULT 0`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec(`ALTER TABLE golfers ADD COLUMN opt_changed_at TEXT`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add send priority to queued messages (login codes jump the queue)
+try {
+  db.exec(`ALTER TABLE messages ADD COLUMN priority INTEGER DEFAULT 0`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add details to conversation state (e.g. the reply a "did you mean" question is about)
+try {
+  db.exec(`ALTER TABLE conversation_state ADD COLUMN data TEXT`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add per-group first tee time ("HH:MM"; earlier times without AM/PM are read as PM)
+try {
+  db.exec(`ALTER TABLE groups ADD COLUMN first_tee_time TEXT`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add golfers' tee time preferences ("early", "late", "before HH:MM", "after HH:MM", "at HH:MM")
+try {
+  db.exec(`ALTER TABLE responses ADD COLUMN time_preference TEXT`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add MAYBE spot holds (UTC; when the held spot is released, and when the golfer is reminded)
+try {
+  db.exec(`ALTER TABLE responses ADD COLUMN hold_expires_at TEXT`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec(`ALTER TABLE responses ADD COLUMN hold_remind_at TEXT`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Add per-group MAYBE hold in hours (0 = a maybe doesn't hold a spot)
+try {
+  db.exec(`ALTER TABLE groups ADD COLUMN maybe_hold_hours INTEGER`);
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Migration: Store tee times as 24-hour "HH:MM" instead of display strings like "8:08 AM"
+db.transaction(() => {
+  const toTwentyFourHour = time => {
+    const match = time.match(/^(\d{1,2}):(\d{2}) (AM|PM)$/);
+    if (!match) return time;
+    const hours = (parseInt(match[1], 10) % 12) + (match[3] === 'PM' ? 12 : 0);
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+  };
+  const updateTimes = db.prepare('UPDATE events SET times = ? WHERE id = ?');
+  db.prepare("SELECT id, times FROM events WHERE times LIKE '%M\"%'").all().forEach(event => {
+    updateTimes.run(JSON.stringify(JSON.parse(event.times).map(toTwentyFourHour)), event.id);
+  });
+})();
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_events_group ON events(group_id, status);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_group ON audit_log(group_id, created_at);
+`);
+
+// Migration: Seed default group managers from MANAGER_PHONE on first run (first number is the owner)
+if (db.prepare('SELECT COUNT(*) as count FROM managers').get().count === 0) {
+  const seedPhones = (process.env.MANAGER_PHONE || '').split(',').map(p => p.trim()).filter(p => p);
+  const seedManager = db.prepare('INSERT OR IGNORE INTO managers (group_id, phone, role) VALUES (1, ?, ?)');
+  seedPhones.forEach((phone, i) => seedManager.run(phone, i === 0 ? 'owner' : 'co-manager'));
+}
+
+// Enforce foreign keys however startup went (the group migration turns them off
+// for its rebuild, and SQLite leaves them off by default)
+db.pragma('foreign_keys = ON');
+
+// Group queries
+const createGroup = db.prepare('INSERT INTO groups (name, slug, twilio_number, contact_name) VALUES (?, ?, ?, ?)');
+const getGroupById = db.prepare('SELECT * FROM groups WHERE id = ?');
+const getGroupBySlug = db.prepare('SELECT * FROM groups WHERE slug = ?');
+const getGroupByTwilioNumber = db.prepare('SELECT * FROM groups WHERE twilio_number = ?');
+const getAllGroups = db.prepare('SELECT * FROM groups ORDER BY id');
+const updateGroup = db.prepare('UPDATE groups SET name = ?, twilio_number = ?, contact_name = ?, reminder_offsets = ?, timezone = ?, offer_hours = ?, first_tee_time = ?, maybe_hold_hours = ? WHERE id = ?');
+
+// Golfer queries (scoped to a group)
+const addGolfer = db.prepare('INSERT OR IGNORE INTO golfers (group_id, name, phone) VALUES (?, ?, ?)');
+const addGolferWithTier = db.prepare('INSERT OR IGNORE INTO golfers (group_id, name, phone, tier) VALUES (?, ?, ?, ?)');
+const getGolferByPhone = db.prepare('SELECT * FROM golfers WHERE group_id = ? AND phone = ?');
 const getGolferById = db.prepare('SELECT * FROM golfers WHERE id = ?');
-const getAllActiveGolfers = db.prepare('SELECT * FROM golfers WHERE active = 1');
-const getAllPreferredGolfers = db.prepare("SELECT * FROM golfers WHERE active = 1 AND tier = 'preferred'");
-const getAllBackupGolfers = db.prepare("SELECT * FROM golfers WHERE active = 1 AND tier = 'backup'");
-const updateGolferName = db.prepare('UPDATE golfers SET name = ? WHERE phone = ?');
+const getAllActiveGolfers = db.prepare('SELECT * FROM golfers WHERE group_id = ? AND active = 1');
+const getAllPreferredGolfers = db.prepare("SELECT * FROM golfers WHERE group_id = ? AND active = 1 AND tier = 'preferred'");
+const getAllBackupGolfers = db.prepare("SELECT * FROM golfers WHERE group_id = ? AND active = 1 AND tier = 'backup'");
+const updateGolferName = db.prepare('UPDATE golfers SET name = ? WHERE id = ?');
 const updateGolferTier = db.prepare('UPDATE golfers SET tier = ? WHERE id = ?');
+const setGolferOptedOut = db.prepare('UPDATE golfers SET opted_out = ?, opt_changed_at = CURRENT_TIMESTAMP WHERE id = ?');
 
 // Event queries
-const createEvent = db.prepare('INSERT INTO events (date, course, times) VALUES (?, ?, ?)');
-const getActiveEvent = db.prepare("SELECT * FROM events WHERE status = 'open' ORDER BY created_at DESC LIMIT 1");
+const createEvent = db.prepare('INSERT INTO events (group_id, date, course, times, max_players, deadline) VALUES (?, ?, ?, ?, ?, ?)');
+const getOpenEvents = db.prepare("SELECT * FROM events WHERE group_id = ? AND status = 'open' ORDER BY date ASC, created_at ASC");
+const getLatestClosedEvent = db.prepare("SELECT * FROM events WHERE group_id = ? AND status = 'closed' ORDER BY created_at DESC LIMIT 1");
 const closeEvent = db.prepare("UPDATE events SET status = 'closed' WHERE id = ?");
 const getEventById = db.prepare('SELECT * FROM events WHERE id = ?');
 const markBackupNotified = db.prepare("UPDATE events SET backup_notified_at = CURRENT_TIMESTAMP WHERE id = ?");
@@ -96,11 +477,14 @@ const upsertResponse = db.prepare(`
   ON CONFLICT(event_id, golfer_id) DO UPDATE SET
     status = excluded.status,
     position = excluded.position,
+    waitlist_notified = NULL,
+    hold_expires_at = NULL,
+    hold_remind_at = NULL,
     responded_at = CURRENT_TIMESTAMP
 `);
 
 const getResponsesForEvent = db.prepare(`
-  SELECT r.*, g.name, g.phone
+  SELECT r.*, g.name, g.phone, g.opted_out
   FROM responses r
   JOIN golfers g ON r.golfer_id = g.id
   WHERE r.event_id = ?
@@ -112,35 +496,56 @@ const getInCountForEvent = db.prepare(`
   WHERE event_id = ? AND status = 'in'
 `);
 
-const getNextWaitlistPosition = db.prepare(`
-  SELECT COALESCE(MAX(position), 16) + 1 as next_pos
-  FROM responses
-  WHERE event_id = ? AND status = 'in' AND position > 16
-`);
-
 const getResponseByGolferAndEvent = db.prepare(`
   SELECT * FROM responses
   WHERE event_id = ? AND golfer_id = ?
 `);
 
-const getFirstWaitlisted = db.prepare(`
-  SELECT r.*, g.name, g.phone
+const updatePosition = db.prepare('UPDATE responses SET position = ? WHERE id = ?');
+
+const setWaitlistNotified = db.prepare('UPDATE responses SET waitlist_notified = ? WHERE id = ?');
+
+const setTimePreference = db.prepare('UPDATE responses SET time_preference = ? WHERE event_id = ? AND golfer_id = ?');
+
+// MAYBE holds (UTC, like CURRENT_TIMESTAMP); a released hold gives up its place in the queue
+const setMaybeHold = db.prepare('UPDATE responses SET hold_expires_at = ?, hold_remind_at = ? WHERE event_id = ? AND golfer_id = ?');
+
+const releaseMaybeHold = db.prepare('UPDATE responses SET position = NULL, hold_expires_at = NULL, hold_remind_at = NULL WHERE id = ?');
+
+const clearHoldReminder = db.prepare('UPDATE responses SET hold_remind_at = NULL WHERE id = ?');
+
+const getExpiredHoldsForEvent = db.prepare(`
+  SELECT r.*, g.name, g.phone, g.opted_out
   FROM responses r
   JOIN golfers g ON r.golfer_id = g.id
-  WHERE r.event_id = ? AND r.status = 'in' AND r.position > 16
-  ORDER BY r.position ASC
-  LIMIT 1
+  WHERE r.event_id = ? AND r.status = 'maybe' AND r.hold_expires_at <= datetime('now')
 `);
 
-const updatePosition = db.prepare('UPDATE responses SET position = ? WHERE id = ?');
+const getDueHoldRemindersForEvent = db.prepare(`
+  SELECT r.*, g.name, g.phone, g.opted_out
+  FROM responses r
+  JOIN golfers g ON r.golfer_id = g.id
+  WHERE r.event_id = ? AND r.status = 'maybe' AND r.hold_remind_at <= datetime('now')
+`);
+
+// Golfers who are in (or holding a spot offer or a MAYBE hold) and their guests share one position sequence per event
+const getQueueForEvent = db.prepare(`
+  SELECT 'golfer' as type, id, position FROM responses
+  WHERE event_id = ? AND status IN ('in', 'offered', 'maybe') AND position IS NOT NULL
+  UNION ALL
+  SELECT 'guest' as type, id, position FROM guests WHERE event_id = ?
+  ORDER BY position ASC, type ASC, id ASC
+`);
 
 const removeResponse = db.prepare('DELETE FROM responses WHERE event_id = ? AND golfer_id = ?');
 
+const deleteResponsesForEvent = db.prepare('DELETE FROM responses WHERE event_id = ?');
+
 // Guest queries
 const addGuest = db.prepare('INSERT INTO guests (event_id, host_golfer_id, name, position) VALUES (?, ?, ?, ?)');
 
 const getGuestsForEvent = db.prepare(`
-  SELECT g.*, h.name as host_name
+  SELECT g.*, h.name as host_name, h.phone as host_phone, h.opted_out as host_opted_out
   FROM guests g
   JOIN golfers h ON g.host_golfer_id = h.id
   WHERE g.event_id = ?
@@ -160,14 +565,314 @@ const deleteGuest = db.prepare('DELETE FROM guests WHERE id = ?');
 
 const deleteGuestsByHost = db.prepare('DELETE FROM guests WHERE event_id = ? AND host_golfer_id = ?');
 
+const deleteGuestsForEvent = db.prepare('DELETE FROM guests WHERE event_id = ?');
+
 const getGuestById = db.prepare('SELECT * FROM guests WHERE id = ?');
 
 const getGuestCountForEvent = db.prepare(`
   SELECT COUNT(*) as count FROM guests WHERE event_id = ?
 `);
 
+// Manager queries (scoped to a group)
+const getManagerByPhone = db.prepare('SELECT * FROM managers WHERE group_id = ? AND phone = ?');
+const getManagerById = db.prepare('SELECT * FROM managers WHERE id = ?');
+const getAllManagers = db.prepare(`
+  SELECT * FROM managers
+  WHERE group_id = ?
+  ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'co-manager' THEN 1 ELSE 2 END, name
+`);
+const getGroupsForManagerPhone = db.prepare(`
+  SELECT g.*, m.role
+  FROM managers m
+  JOIN groups g ON m.group_id = g.id
+  WHERE m.phone = ?
+  ORDER BY g.id
+`);
+const getNotifiedManagers = db.prepare('SELECT * FROM managers WHERE group_id = ? AND notify = 1');
+const getOwnerCount = db.prepare("SELECT COUNT(*) as count FROM managers WHERE group_id = ? AND role = 'owner'");
+const addManager = db.prepare('INSERT INTO managers (group_id, name, phone, role, notify) VALUES (?, ?, ?, ?, ?)');
+const updateManager = db.prepare('UPDATE managers SET name = ?, phone = ?, role = ?, notify = ? WHERE id = ?');
+const deleteManager = db.prepare('DELETE FROM managers WHERE id = ?');
+
+// Audit queries
+const addAuditEntry = db.prepare(`
+  INSERT INTO audit_log (group_id, event_id, golfer_id, action, actor, actor_phone, source, before_value, after_value)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+// Auth queries
+const createLoginCode = db.prepare(`
+  INSERT INTO login_codes (phone, code_hash, expires_at)
+  VALUES (?, ?, datetime('now', ?))
+`);
+
+const getLatestLoginCode = db.prepare(`
+  SELECT * FROM login_codes
+  WHERE phone = ? AND expires_at > datetime('now')
+  ORDER BY id DESC
+  LIMIT 1
+`);
+
+const getRecentLoginCodeCount = db.prepare(`
+  SELECT COUNT(*) as count FROM login_codes
+  WHERE phone = ? AND created_at > datetime('now', ?)
+`);
+
+const incrementLoginCodeAttempts = db.prepare('UPDATE login_codes SET attempts = attempts + 1 WHERE id = ?');
+
+const deleteLoginCodesForPhone = db.prepare('DELETE FROM login_codes WHERE phone = ?');
+
+const createSession = db.prepare(`
+  INSERT INTO sessions (token_hash, phone, expires_at)
+  VALUES (?, ?, datetime('now', ?))
+`);
+
+const getSessionByTokenHash = db.prepare(`
+  SELECT * FROM sessions
+  WHERE token_hash = ? AND expires_at > datetime('now')
+`);
+
+const deleteSessionByTokenHash = db.prepare('DELETE FROM sessions WHERE token_hash = ?');
+
+const deleteSessionsForPhone = db.prepare('DELETE FROM sessions WHERE phone = ?');
+
+const deleteExpiredSessions = db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')");
+
+const deleteExpiredLoginCodes = db.prepare("DELETE FROM login_codes WHERE expires_at <= datetime('now', '-1 day')");
+
+// Scheduled job queries (run_at is UTC, like CURRENT_TIMESTAMP)
+const createJob = db.prepare(`
+  INSERT INTO scheduled_jobs (group_id, event_id, type, run_at)
+  VALUES (?, ?, ?, ?)
+`);
+
+const getJobById = db.prepare('SELECT * FROM scheduled_jobs WHERE id = ?');
+
+const getDueJobs = db.prepare(`
+  SELECT * FROM scheduled_jobs
+  WHERE status = 'pending' AND run_at <= datetime('now')
+  ORDER BY run_at ASC, id ASC
+`);
+
+const getJobsForEvent = db.prepare('SELECT * FROM scheduled_jobs WHERE event_id = ? ORDER BY run_at ASC, id ASC');
+
+const getPendingJobsForGroup = db.prepare(`
+  SELECT * FROM scheduled_jobs
+  WHERE group_id = ? AND status = 'pending'
+  ORDER BY run_at ASC, id ASC
+`);
+
+const completeJob = db.prepare("UPDATE scheduled_jobs SET status = ?, result = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?");
+
+const cancelJob = db.prepare("UPDATE scheduled_jobs SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'");
+
+const cancelPendingJobsForEvent = db.prepare("UPDATE scheduled_jobs SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP WHERE event_id = ? AND status = 'pending'");
+
+// Jobs that act on responses: spot offers and MAYBE holds running out
+const cancelPendingResponseJobsForEvent = db.prepare(`
+  UPDATE scheduled_jobs SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+  WHERE event_id = ? AND status = 'pending' AND type IN ('expire_offers', 'expire_holds', 'remind_holds')
+`);
+
+// Reminder queries
+const addReminder = db.prepare('INSERT INTO reminders (event_id, golfer_id, job_id) VALUES (?, ?, ?)');
+
+const getRecentlyRemindedGolferIds = db.prepare(`
+  SELECT DISTINCT golfer_id FROM reminders
+  WHERE event_id = ? AND sent_at > datetime('now', ?)
+`);
+
+const getReminderCountsForEvent = db.prepare(`
+  SELECT golfer_id, COUNT(*) as count, MAX(sent_at) as last_sent_at
+  FROM reminders
+  WHERE event_id = ?
+  GROUP BY golfer_id
+`);
+
+// Waitlist offer queries (expires_at is UTC, like CURRENT_TIMESTAMP)
+const createOffer = db.prepare('INSERT INTO waitlist_offers (event_id, golfer_id, expires_at) VALUES (?, ?, ?)');
+
+const resolveOffer = db.prepare(`
+  UPDATE waitlist_offers SET status = ?, responded_at = CURRENT_TIMESTAMP
+  WHERE event_id = ? AND golfer_id = ? AND status = 'pending'
+`);
+
+const deleteOffersForEvent = db.prepare('DELETE FROM waitlist_offers WHERE event_id = ?');
+
+const cancelPendingOffersForEvent = db.prepare(`
+  UPDATE waitlist_offers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+  WHERE event_id = ? AND status = 'pending'
+`);
+
+const getPendingOffersForEvent = db.prepare(`
+  SELECT o.*, g.name, g.phone, r.position
+  FROM waitlist_offers o
+  JOIN golfers g ON o.golfer_id = g.id
+  JOIN responses r ON r.event_id = o.event_id AND r.golfer_id = o.golfer_id
+  WHERE o.event_id = ? AND o.status = 'pending'
+  ORDER BY r.position ASC
+`);
+
+const getExpiredOffersForEvent = db.prepare(`
+  SELECT * FROM waitlist_offers
+  WHERE event_id = ? AND status = 'pending' AND expires_at <= datetime('now')
+`);
+
+const getPendingOffersForGolfer = db.prepare(`
+  SELECT o.* FROM waitlist_offers o
+  JOIN events e ON o.event_id = e.id
+  WHERE o.golfer_id = ? AND o.status = 'pending' AND e.status = 'open'
+`);
+
+// Outbox queries (messages kept by the local outbox SMS provider)
+const addOutboxMessage = db.prepare('INSERT INTO outbox (to_phone, from_phone, body) VALUES (?, ?, ?)');
+
+const getOutboxMessages = db.prepare(`
+  SELECT * FROM outbox
+  WHERE from_phone IS ?
+  ORDER BY id DESC
+  LIMIT ?
+`);
+
+// Outbound message log and send queue
+// (status: queued, sending, sent, delivered, retrying, undelivered, failed)
+const createMessage = db.prepare(`
+  INSERT INTO messages (event_id, kind, to_phone, from_phone, body, provider, priority, status, next_attempt_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, 'queued', CURRENT_TIMESTAMP)
+`);
+
+const getMessageById = db.prepare('SELECT * FROM messages WHERE id = ?');
+
+const getMessageByProviderId = db.prepare('SELECT * FROM messages WHERE provider_id = ?');
+
+// Take a message for a send attempt; no change if another attempt already has it
+const claimMessage = db.prepare(`
+  UPDATE messages SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND status IN ('queued', 'retrying')
+`);
+
+// A manual resend queues the message again with the retry count started over
+const requeueMessage = db.prepare(`
+  UPDATE messages SET status = 'queued', attempts = 0, error = NULL, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND status IN ('retrying', 'undelivered', 'failed')
+`);
+
+// Sends cut off by a restart go out again (a duplicate beats a lost invite)
+const requeueInterruptedMessages = db.prepare(`
+  UPDATE messages SET status = 'queued', next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+  WHERE status = 'sending'
+`);
+
+const markMessageSent = db.prepare(`
+  UPDATE messages SET status = 'sent', provider_id = ?, attempts = attempts + 1, error = NULL,
+    next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+// A failed attempt: status is 'retrying' (with next_attempt_at) or a final failure
+const markMessageFailed = db.prepare(`
+  UPDATE messages SET status = ?, error = ?, attempts = attempts + 1, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+// A status callback for an attempt that was already counted
+const updateMessageStatus = db.prepare(`
+  UPDATE messages SET status = ?, error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`);
+
+// The golfer an event's text is going to, if they've since replied STOP
+const getOptedOutRecipient = db.prepare(`
+  SELECT g.id FROM golfers g
+  JOIN events e ON e.group_id = g.group_id
+  WHERE e.id = ? AND g.phone = ? AND g.opted_out = 1
+`);
+
+const getNextQueuedMessage = db.prepare(`
+  SELECT * FROM messages
+  WHERE status IN ('queued', 'retrying') AND next_attempt_at <= datetime('now')
+  ORDER BY priority DESC, id ASC
+  LIMIT 1
+`);
+
+// The latest message of a kind to each recipient of an event, with the golfer it went to
+const getLatestEventMessages = db.prepare(`
+  SELECT m.*, g.id as golfer_id, g.name, g.opted_out
+  FROM messages m
+  JOIN events e ON m.event_id = e.id
+  LEFT JOIN golfers g ON g.group_id = e.group_id AND g.phone = m.to_phone
+  WHERE m.id IN (SELECT MAX(id) FROM messages WHERE event_id = ? AND kind = ? GROUP BY to_phone)
+  ORDER BY g.name ASC
+`);
+
+// Inbound message history (intent is the handler's reading of the text)
+const addInboundMessage = db.prepare(`
+  INSERT INTO inbound_messages (group_id, from_phone, to_phone, body, golfer_id, manager_id, event_id, intent, reply, provider_id)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+// A golfer's texts in a group, newest first (by golfer, or by phone from before they were added)
+const getInboundMessagesForGolfer = db.prepare(`
+  SELECT * FROM inbound_messages
+  WHERE group_id = ? AND (golfer_id = ? OR from_phone = ?)
+  ORDER BY id DESC
+  LIMIT ?
+`);
+
+// Texts sent to a phone from a group's number, newest first
+const getOutboundMessagesToPhone = db.prepare(`
+  SELECT * FROM messages
+  WHERE to_phone = ? AND from_phone IS ?
+  ORDER BY id DESC
+  LIMIT ?
+`);
+
+// What a golfer's next text answers (e.g. 'guest_names' after "in +2"), until it expires
+// (data is JSON)
+const setConversationState = db.prepare(`
+  INSERT INTO conversation_state (golfer_id, state, event_id, data, expires_at)
+  VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT(golfer_id) DO UPDATE SET
+    state = excluded.state,
+    event_id = excluded.event_id,
+    data = excluded.data,
+    expires_at = excluded.expires_at,
+    created_at = CURRENT_TIMESTAMP
+`);
+
+const getConversationState = db.prepare(`
+  SELECT * FROM conversation_state
+  WHERE golfer_id = ? AND expires_at > datetime('now')
+`);
+
+const clearConversationState = db.prepare('DELETE FROM conversation_state WHERE golfer_id = ?');
+
+// An announcement a manager has previewed but not yet confirmed (data is JSON)
+const setPendingAnnouncement = db.prepare(`
+  INSERT INTO pending_announcements (manager_id, data, expires_at)
+  VALUES (?, ?, ?)
+  ON CONFLICT(manager_id) DO UPDATE SET
+    data = excluded.data,
+    expires_at = excluded.expires_at,
+    created_at = CURRENT_TIMESTAMP
+`);
+
+const getPendingAnnouncement = db.prepare(`
+  SELECT * FROM pending_announcements
+  WHERE manager_id = ? AND expires_at > datetime('now')
+`);
+
+const clearPendingAnnouncement = db.prepare('DELETE FROM pending_announcements WHERE manager_id = ?');
+
 module.exports = {
   db,
+  // Group exports
+  createGroup,
+  getGroupById,
+  getGroupBySlug,
+  getGroupByTwilioNumber,
+  getAllGroups,
+  updateGroup,
   addGolfer,
   addGolferWithTier,
   getGolferByPhone,
@@ -178,20 +883,29 @@ module.exports = {
   updateGolferName,
   updateGolferPhone,
   updateGolferTier,
+  setGolferOptedOut,
   deactivateGolfer,
   createEvent,
-  getActiveEvent,
+  getOpenEvents,
+  getLatestClosedEvent,
   closeEvent,
   getEventById,
   markBackupNotified,
   upsertResponse,
   getResponsesForEvent,
   getInCountForEvent,
-  getNextWaitlistPosition,
   getResponseByGolferAndEvent,
-  getFirstWaitlisted,
   updatePosition,
+  setWaitlistNotified,
+  setTimePreference,
+  setMaybeHold,
+  releaseMaybeHold,
+  clearHoldReminder,
+  getExpiredHoldsForEvent,
+  getDueHoldRemindersForEvent,
+  getQueueForEvent,
   removeResponse,
+  deleteResponsesForEvent,
   // Guest exports
   addGuest,
   getGuestsForEvent,
@@ -200,6 +914,80 @@ module.exports = {
   updateGuestPosition,
   deleteGuest,
   deleteGuestsByHost,
+  deleteGuestsForEvent,
   getGuestById,
-  getGuestCountForEvent
+  getGuestCountForEvent,
+  // Manager exports
+  getManagerByPhone,
+  getManagerById,
+  getAllManagers,
+  getGroupsForManagerPhone,
+  getNotifiedManagers,
+  getOwnerCount,
+  addManager,
+  updateManager,
+  deleteManager,
+  // Audit exports
+  addAuditEntry,
+  // Auth exports
+  createLoginCode,
+  getLatestLoginCode,
+  getRecentLoginCodeCount,
+  incrementLoginCodeAttempts,
+  deleteLoginCodesForPhone,
+  createSession,
+  getSessionByTokenHash,
+  deleteSessionByTokenHash,
+  deleteSessionsForPhone,
+  deleteExpiredSessions,
+  deleteExpiredLoginCodes,
+  // Scheduled job exports
+  createJob,
+  getJobById,
+  getDueJobs,
+  getJobsForEvent,
+  getPendingJobsForGroup,
+  completeJob,
+  cancelJob,
+  cancelPendingJobsForEvent,
+  cancelPendingResponseJobsForEvent,
+  // Reminder exports
+  addReminder,
+  getRecentlyRemindedGolferIds,
+  getReminderCountsForEvent,
+  // Waitlist offer exports
+  createOffer,
+  resolveOffer,
+  deleteOffersForEvent,
+  cancelPendingOffersForEvent,
+  getPendingOffersForEvent,
+  getExpiredOffersForEvent,
+  getPendingOffersForGolfer,
+  // Outbox exports
+  addOutboxMessage,
+  getOutboxMessages,
+  // Message log exports
+  createMessage,
+  getMessageById,
+  getMessageByProviderId,
+  claimMessage,
+  requeueMessage,
+  requeueInterruptedMessages,
+  markMessageSent,
+  markMessageFailed,
+  updateMessageStatus,
+  getNextQueuedMessage,
+  getLatestEventMessages,
+  getOptedOutRecipient,
+  // Inbound message exports
+  addInboundMessage,
+  getInboundMessagesForGolfer,
+  getOutboundMessagesToPhone,
+  // Conversation state exports
+  setConversationState,
+  getConversationState,
+  clearConversationState,
+  setPendingAnnouncement,
+  getPendingAnnouncement,
+  clearPendingAnnouncement
 };
@@ -1,48 +1,247 @@
 const db = require('./db');
-const { sendSMS, sendToMany } = require('./sms');
-const { formatDateForDisplay } = require('./parser');
+const { sendSMS, sendToMany, resendMessage } = require('./sms');
+const { DEFAULT_FIRST_TEE_TIME, formatDateForDisplay, formatEventLabel, formatTeeTime, getPreferredTimes, formatTimePreference, matchesEventReference } = require('./parser');
+const { SYSTEM_ACTOR, golferActor, recordAudit, getResponseSnapshot } = require('./audit');
+const { getGroup, getGroupFromNumber } = require('./groups');
+const { getGroupTimezone, zonedTimeToUtc, toSqliteTimestamp, fromSqliteTimestamp, formatTimestampForDisplay, parseDayOffset, getTimeBeforeDate } = require('./time');
 
-const MAX_PLAYERS = 16;
+// A tee time is a foursome
+const PLAYERS_PER_TIME = 4;
+
+// A golfer gets at most one reminder per event in this window, however it was sent
+const REMINDER_COOLDOWN_HOURS = 12;
+
+// A golfer still on the waitlist is texted when they reach #1, or have moved
+// up at least this many places since the number they were last told
+const WAITLIST_UPDATE_STEP = 3;
+
+// Hours a waitlisted golfer has to accept an open spot (0 = promote straight
+// into the field); a group's offer_hours overrides this
+const DEFAULT_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS ?? '3', 10) || 0;
+
+// Hours a MAYBE holds an open spot for the golfer to turn into an IN (0 = a
+// maybe holds nothing); a group's maybe_hold_hours overrides this. A hold
+// ends at the response deadline at the latest.
+const DEFAULT_MAYBE_HOLD_HOURS = parseInt(process.env.MAYBE_HOLD_HOURS ?? '24', 10) || 0;
+
+// A golfer holding a spot is reminded this long before it's released
+// (halfway through, for shorter holds)
+const HOLD_REMINDER_HOURS = 2;
+
+// Response deadline when the announcement doesn't give one, relative to the
+// event date in the group's timezone: "<days before>d HH:MM", or "off"
+const DEFAULT_DEADLINE = process.env.RESPONSE_DEADLINE || '2d 18:00';
 
 /**
- * Build the announcement message for an event
+ * Whether a golfer can be sent bulk texts (they haven't replied STOP)
+ */
+function canText(golfer) {
+  return !golfer.opted_out;
+}
+
+/**
+ * A group's earliest tee time ("HH:MM"), for reading times without AM/PM
+ */
+function getFirstTeeTime(group) {
+  return (group && group.first_tee_time) || DEFAULT_FIRST_TEE_TIME;
+}
+
+/**
+ * Default capacity for a set of tee times
  */
-function buildAnnouncementMessage(date, course, times) {
-  const displayDate = formatDateForDisplay(date);
-  const timesDisplay = times.join(', ');
-  return `Golf ${displayDate} at ${course}\nTee times: ${timesDisplay}\nFirst 16 in. Reply IN or OUT.`;
+function getDefaultCapacity(times) {
+  return times.length * PLAYERS_PER_TIME;
 }
 
 /**
- * Create a new golf event and notify preferred golfers only
+ * Work out an event's response deadline as a UTC timestamp
+ * @param {Object|null} wallTime - { date, hours, minutes } in the group's timezone
+ *   (from parser.parseDeadline); null uses RESPONSE_DEADLINE
+ * A default deadline that has already passed falls back to the start of the
+ * event day; returns null if there is none. An explicit deadline is returned
+ * as given - check it with isPastDeadline.
  */
-async function createEventAndNotify(date, course, times) {
-  // Close any existing open events
-  const existingEvent = db.getActiveEvent.get();
-  if (existingEvent) {
-    db.closeEvent.run(existingEvent.id);
+function resolveDeadline(group, date, wallTime = null) {
+  const timeZone = getGroupTimezone(group);
+
+  if (wallTime) {
+    const [year, month, day] = wallTime.date.split('-').map(Number);
+    return toSqliteTimestamp(zonedTimeToUtc(year, month, day, wallTime.hours, wallTime.minutes, timeZone));
   }
 
-  // Create new event
-  const timesStr = JSON.stringify(times);
-  const result = db.createEvent.run(date, course, timesStr);
-  const eventId = result.lastInsertRowid;
+  const offset = parseDayOffset(DEFAULT_DEADLINE);
+  if (!offset) {
+    return null;
+  }
+
+  const now = new Date();
+  let deadline = getTimeBeforeDate(date, offset, timeZone);
+  if (deadline <= now) {
+    deadline = getTimeBeforeDate(date, { daysBefore: 0, hours: 0, minutes: 0 }, timeZone);
+  }
+  return deadline > now ? toSqliteTimestamp(deadline) : null;
+}
+
+/**
+ * Check whether a deadline timestamp has passed (an event without one never closes by itself)
+ */
+function isPastDeadline(deadline) {
+  return !!deadline && fromSqliteTimestamp(deadline) <= new Date();
+}
+
+/**
+ * Build the announcement message for an event
+ */
+function buildAnnouncementMessage(event) {
+  const timeZone = getGroupTimezone(getGroup(event.group_id));
+  const displayDate = formatDateForDisplay(event.date, timeZone);
+  const timesDisplay = JSON.parse(event.times).map(formatTeeTime).join(', ');
+  const replyBy = event.deadline ? ` by ${formatTimestampForDisplay(event.deadline, timeZone)}` : '';
+  return `Golf ${displayDate} at ${event.course}\nTee times: ${timesDisplay}\nFirst ${event.max_players} in. Reply IN or OUT${replyBy}.`;
+}
+
+/**
+ * The number texts about an event are sent from (its group's number)
+ */
+function getEventFromNumber(event) {
+  return getGroupFromNumber(getGroup(event.group_id));
+}
+
+/**
+ * Create a new golf event and notify the group's preferred golfers only
+ * @param {Object} group - The group the event belongs to
+ * @param {number|null} maxPlayers - Capacity override (default: 4 per tee time)
+ * @param {string|null} deadline - UTC response deadline from resolveDeadline (default: RESPONSE_DEADLINE)
+ * @param {Object} actor - Who created it (see audit.js)
+ */
+async function createEventAndNotify(group, date, course, times, maxPlayers = null, deadline = null, actor = SYSTEM_ACTOR) {
+  const eventId = createEvent(group, date, course, times, maxPlayers, deadline, actor);
+  const event = db.getEventById.get(eventId);
 
   // Build announcement message
-  const message = buildAnnouncementMessage(date, course, times);
+  const message = buildAnnouncementMessage(event);
 
-  // Get preferred golfers only and send
-  const golfers = db.getAllPreferredGolfers.all();
+  // Get preferred golfers only and send (skipping anyone who opted out)
+  const golfers = db.getAllPreferredGolfers.all(group.id).filter(canText);
   const phones = golfers.map(g => g.phone);
 
   if (phones.length > 0) {
-    await sendToMany(phones, message);
+    await sendToMany(phones, message, getGroupFromNumber(group), { eventId, kind: 'announcement' });
   }
 
-  console.log(`Event ${eventId} created for ${date}, notified ${phones.length} preferred golfers`);
+  console.log(`Event ${eventId} created for ${group.name} on ${date}, notified ${phones.length} preferred golfers`);
   return { eventId, notified: phones.length };
 }
 
+/**
+ * Create a new event (no notifications)
+ * Other open events stay open, except one on the same date, which this replaces
+ * Returns the new event ID
+ */
+function createEvent(group, date, course, times, maxPlayers = null, deadline = null, actor = SYSTEM_ACTOR) {
+  db.getOpenEvents.all(group.id)
+    .filter(e => e.date === date)
+    .forEach(e => closeEvent(e.id, actor));
+
+  const capacity = maxPlayers || getDefaultCapacity(times);
+  const responseDeadline = deadline || resolveDeadline(group, date);
+  const timesStr = JSON.stringify(times);
+  const result = db.createEvent.run(group.id, date, course, timesStr, capacity, responseDeadline);
+  const eventId = result.lastInsertRowid;
+
+  recordAudit(actor, 'event_create', { eventId, after: { date, course, times, maxPlayers: capacity, deadline: responseDeadline } });
+  return eventId;
+}
+
+/**
+ * A group's open events (soonest first), optionally narrowed by an
+ * event reference from parser.extractEventReference
+ */
+function findOpenEvents(groupId, eventRef = null) {
+  const events = db.getOpenEvents.all(groupId);
+  return eventRef ? events.filter(e => matchesEventReference(e.date, eventRef)) : events;
+}
+
+/**
+ * Close an event so it stops taking responses
+ */
+function closeEvent(eventId, actor = SYSTEM_ACTOR) {
+  const event = db.getEventById.get(eventId);
+  if (!event || event.status === 'closed') {
+    return;
+  }
+
+  db.closeEvent.run(eventId);
+  db.cancelPendingJobsForEvent.run(eventId);
+  db.cancelPendingOffersForEvent.run(eventId);
+  recordAudit(actor, 'event_close', { eventId, before: { status: event.status }, after: { status: 'closed' } });
+}
+
+/**
+ * Send an event's summary to its group's managers, then close it
+ */
+async function closeEventWithSummary(eventId, actor = SYSTEM_ACTOR) {
+  const event = db.getEventById.get(eventId);
+  if (!event || event.status === 'closed') {
+    return { success: false, message: 'Event already closed' };
+  }
+
+  const summary = generateSummary(eventId);
+  if (summary) {
+    await notifyManagers(event.group_id, summary);
+    console.log(`Summary for event ${eventId} sent to managers`);
+  }
+
+  closeEvent(eventId, actor);
+  return { success: true, summary };
+}
+
+/**
+ * Text invited golfers who have not answered yet, and record each reminder
+ * Invited = preferred golfers, plus backups once they have been notified
+ * Golfers reminded in the last REMINDER_COOLDOWN_HOURS are skipped
+ * Options: jobId - the scheduled job sending it (null when sent by hand)
+ *          dryRun - only report who would be reminded (test mode)
+ * Returns: { success, reminded, skipped, names }
+ */
+async function remindNonResponders(eventId, { jobId = null, dryRun = false } = {}) {
+  const event = db.getEventById.get(eventId);
+  if (!event || event.status === 'closed') {
+    return { success: false, message: 'Event is closed' };
+  }
+
+  const respondedIds = new Set(db.getResponsesForEvent.all(eventId).map(r => r.golfer_id));
+  const invited = event.backup_notified_at
+    ? db.getAllActiveGolfers.all(event.group_id)
+    : db.getAllPreferredGolfers.all(event.group_id);
+  const pending = invited.filter(g => canText(g) && !respondedIds.has(g.id));
+
+  const recentIds = new Set(
+    db.getRecentlyRemindedGolferIds.all(eventId, `-${REMINDER_COOLDOWN_HOURS} hours`).map(r => r.golfer_id)
+  );
+  const golfers = pending.filter(g => !recentIds.has(g.id));
+  const skipped = pending.length - golfers.length;
+
+  if (dryRun) {
+    return { success: true, reminded: golfers.length, skipped, names: golfers.map(g => g.name) };
+  }
+
+  // Name the round when golfers have more than one to answer
+  const timeZone = getGroupTimezone(getGroup(event.group_id));
+  const label = db.getOpenEvents.all(event.group_id).length > 1 ? ` ${formatEventLabel(event.date)}` : '';
+  const replyBy = event.deadline ? ` by ${formatTimestampForDisplay(event.deadline, timeZone)}` : '';
+  const message = `Reminder: Golf ${formatDateForDisplay(event.date, timeZone)} at ${event.course}\nReply IN${label} or OUT${label}${replyBy}.`;
+
+  if (golfers.length > 0) {
+    // Record first so a retried job or a double-tapped REMIND can't nudge anyone twice
+    golfers.forEach(g => db.addReminder.run(eventId, g.id, jobId));
+    await sendToMany(golfers.map(g => g.phone), message, getEventFromNumber(event), { eventId, kind: 'reminder' });
+  }
+
+  console.log(`Reminder for event ${eventId} sent to ${golfers.length} golfers (${skipped} reminded recently)`);
+  return { success: true, reminded: golfers.length, skipped, names: golfers.map(g => g.name) };
+}
+
 /**
  * Notify backup golfers for an existing event
  */
@@ -57,15 +256,14 @@ async function notifyBackupGolfers(eventId) {
   }
 
   // Build same announcement message
-  const times = JSON.parse(event.times);
-  const message = buildAnnouncementMessage(event.date, event.course, times);
+  const message = buildAnnouncementMessage(event);
 
-  // Get backup golfers and send
-  const golfers = db.getAllBackupGolfers.all();
+  // Get backup golfers and send (skipping anyone who opted out)
+  const golfers = db.getAllBackupGolfers.all(event.group_id).filter(canText);
   const phones = golfers.map(g => g.phone);
 
   if (phones.length > 0) {
-    await sendToMany(phones, message);
+    await sendToMany(phones, message, getEventFromNumber(event), { eventId, kind: 'announcement' });
   }
 
   // Mark backup notification sent
@@ -75,99 +273,132 @@ async function notifyBackupGolfers(eventId) {
   return { success: true, notified: phones.length };
 }
 
+/**
+ * How an event's announcement got through: the latest announcement text to
+ * each golfer, and the ones that didn't reach them (failed, undelivered, or
+ * waiting for a retry)
+ * Returns: { sent, queued, delivered, missed }
+ */
+function getAnnouncementDelivery(eventId) {
+  const messages = db.getLatestEventMessages.all(eventId, 'announcement');
+  return {
+    sent: messages.length,
+    queued: messages.filter(m => ['queued', 'sending'].includes(m.status)).length,
+    delivered: messages.filter(m => m.status === 'delivered').length,
+    missed: messages
+      .filter(m => ['retrying', 'undelivered', 'failed'].includes(m.status))
+      .map(m => ({ messageId: m.id, golferId: m.golfer_id, name: m.name, phone: m.to_phone, status: m.status, error: m.error, attempts: m.attempts, updatedAt: m.updated_at, optedOut: !!m.opted_out }))
+  };
+}
+
+/**
+ * Queue the announcement again for every golfer it didn't reach, except
+ * those who have since opted out
+ * Returns: { success, resent }
+ */
+function resendAnnouncement(eventId) {
+  const { missed } = getAnnouncementDelivery(eventId);
+  if (missed.length === 0) {
+    return { success: false, message: 'Everyone got the announcement' };
+  }
+
+  const textable = missed.filter(m => canText({ opted_out: m.optedOut }));
+  if (textable.length === 0) {
+    return { success: false, message: 'Everyone who missed the announcement has opted out' };
+  }
+
+  const resent = textable.filter(m => resendMessage(m.messageId)).length;
+
+  console.log(`Announcement for event ${eventId} queued again for ${resent} golfers`);
+  return { success: true, resent };
+}
+
 /**
  * Record a golfer's response (with optional guests)
+ * A MAYBE doesn't count toward the field, and brings no guests. With holds on,
+ * it holds the golfer's spot in the field (or an open one) until it expires;
+ * an IN before then takes it.
  * @param {Object} golfer - The golfer object
  * @param {number} eventId - The event ID
- * @param {string} status - 'in' or 'out'
+ * @param {string} status - 'in', 'out' or 'maybe'
  * @param {number} guestCount - Number of guests (default 0)
+ * @param {Object} actor - Who made the change (default: the golfer over SMS)
  */
-async function recordResponse(golfer, eventId, status, guestCount = 0) {
+async function recordResponse(golfer, eventId, status, guestCount = 0, actor = golferActor(golfer)) {
   const event = db.getEventById.get(eventId);
   if (!event) {
     return { success: false, message: 'No active event' };
   }
 
+  const maxPlayers = event.max_players;
+  const before = getResponseSnapshot(eventId, golfer.id);
+  const audit = () => recordAudit(actor, 'rsvp', {
+    eventId,
+    golferId: golfer.id,
+    before,
+    after: getResponseSnapshot(eventId, golfer.id)
+  });
+
   // Backup golfers cannot bring guests - silently ignore guest count
   if (golfer.tier === 'backup' && guestCount > 0) {
     guestCount = 0;
   }
 
-  // Check current response
-  const existingResponse = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
-  const wasIn = existingResponse?.status === 'in';
-
-  // Get existing guests for this golfer
-  const existingGuests = db.getGuestsByHost.all(eventId, golfer.id);
-
   if (status === 'in') {
-    // Get current count of confirmed players (including guests)
-    const { count: responseCount } = db.getInCountForEvent.get(eventId);
-    const { count: guestTotalCount } = db.getGuestCountForEvent.get(eventId);
-    const totalConfirmed = responseCount + guestTotalCount;
-
-    if (existingResponse?.status === 'in' && guestCount === 0 && existingGuests.length === 0) {
-      // Already in with no guest changes
-      const pos = existingResponse.position;
-      if (pos <= MAX_PLAYERS) {
-        return { success: true, message: `You're already in (#${pos} of ${MAX_PLAYERS})`, position: pos };
-      } else {
-        return { success: true, message: `You're already on waitlist #${pos - MAX_PLAYERS}`, position: pos };
+    const { result: changed, changes } = updateQueue(eventId, nextPosition => {
+      const existingResponse = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
+      const existingGuests = db.getGuestsByHost.all(eventId, golfer.id);
+
+      if (existingResponse?.status === 'in' && guestCount === existingGuests.length) {
+        // Already in with no guest changes
+        return false;
       }
-    }
 
-    let position;
-    let message;
+      if (existingResponse?.status === 'offered') {
+        // Accepting a spot offer: the held spot becomes theirs
+        db.upsertResponse.run(eventId, golfer.id, 'in', existingResponse.position);
+        db.resolveOffer.run('accepted', eventId, golfer.id);
+      } else if (existingResponse?.status === 'maybe' && existingResponse.position) {
+        // Taking the spot their maybe held
+        db.upsertResponse.run(eventId, golfer.id, 'in', existingResponse.position);
+      } else if (existingResponse?.status !== 'in') {
+        db.upsertResponse.run(eventId, golfer.id, 'in', nextPosition());
+      }
 
-    if (existingResponse?.status === 'in') {
-      // Already in, just update guests
-      position = existingResponse.position;
-    } else {
-      // New response - assign position
-      if (totalConfirmed < MAX_PLAYERS) {
-        position = totalConfirmed + 1;
-      } else {
-        const { next_pos } = db.getNextWaitlistPosition.get(eventId);
-        position = next_pos;
+      // Handle guest changes: new guests join the back of the queue, removed ones come off the end
+      for (let i = existingGuests.length; i < guestCount; i++) {
+        db.addGuest.run(eventId, golfer.id, `${golfer.name}'s Guest`, nextPosition());
       }
-      db.upsertResponse.run(eventId, golfer.id, 'in', position);
+      existingGuests.slice(guestCount).forEach(guest => db.deleteGuest.run(guest.id));
+      return true;
+    });
+
+    const response = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
+    const position = response.position;
+
+    // Remember the waitlist number they're told, for later move-up texts
+    if (position > maxPlayers) {
+      db.setWaitlistNotified.run(position - maxPlayers, response.id);
     }
 
-    // Handle guest changes
-    if (guestCount > existingGuests.length) {
-      // Add more guests
-      const guestsToAdd = guestCount - existingGuests.length;
-      for (let i = 0; i < guestsToAdd; i++) {
-        // Calculate guest position
-        const currentTotal = getTotalConfirmedCount(eventId);
-        let guestPosition;
-        if (currentTotal < MAX_PLAYERS) {
-          guestPosition = currentTotal + 1;
-        } else {
-          guestPosition = currentTotal + 1; // Goes to waitlist
-        }
-
-        const guestName = `${golfer.name}'s Guest`;
-        db.addGuest.run(eventId, golfer.id, guestName, guestPosition);
-      }
-    } else if (guestCount < existingGuests.length) {
-      // Remove excess guests (remove from the end)
-      const guestsToRemove = existingGuests.length - guestCount;
-      for (let i = 0; i < guestsToRemove; i++) {
-        const guestToRemove = existingGuests[existingGuests.length - 1 - i];
-        db.deleteGuest.run(guestToRemove.id);
+    if (!changed) {
+      if (position <= maxPlayers) {
+        return { success: true, message: `You're already in (#${position} of ${maxPlayers})`, position };
+      } else {
+        return { success: true, message: `You're already on waitlist #${position - maxPlayers}`, position };
       }
     }
 
     // Build response message
-    if (position <= MAX_PLAYERS) {
+    let message;
+    if (position <= maxPlayers) {
       if (guestCount > 0) {
-        message = `You're in (#${position} of ${MAX_PLAYERS}) with ${guestCount} guest${guestCount > 1 ? 's' : ''}`;
+        message = `You're in (#${position} of ${maxPlayers}) with ${guestCount} guest${guestCount > 1 ? 's' : ''}`;
       } else {
-        message = `You're in (#${position} of ${MAX_PLAYERS})`;
+        message = `You're in (#${position} of ${maxPlayers})`;
       }
     } else {
-      const waitlistPos = position - MAX_PLAYERS;
+      const waitlistPos = position - maxPlayers;
       if (guestCount > 0) {
         message = `Waitlist #${waitlistPos} with ${guestCount} guest${guestCount > 1 ? 's' : ''}. We'll text you if spots open.`;
       } else {
@@ -175,27 +406,161 @@ async function recordResponse(golfer, eventId, status, guestCount = 0) {
       }
     }
 
+    audit();
+    await notifyQueueChanges(event, changes);
     return { success: true, message, position, guests: guestCount };
 
   } else if (status === 'out') {
-    const previousPosition = existingResponse?.position;
+    // Dropping out (with any guests) moves everyone behind them up
+    const { changes } = updateQueue(eventId, () => {
+      db.resolveOffer.run('declined', eventId, golfer.id);
+      db.upsertResponse.run(eventId, golfer.id, 'out', null);
+      db.deleteGuestsByHost.run(eventId, golfer.id);
+      db.setTimePreference.run(null, eventId, golfer.id);
+    });
+    audit();
+    await notifyQueueChanges(event, changes);
+
+    return { success: true, message: "Got it, you're out." };
 
-    db.upsertResponse.run(eventId, golfer.id, 'out', null);
+  } else if (status === 'maybe') {
+    // A spot offer is answered YES or NO, and a second maybe changes nothing
+    const existing = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
+    if (existing?.status === 'offered' || existing?.status === 'maybe') {
+      return { success: true, message: generateGolferStatus(golfer, eventId) };
+    }
 
-    // Remove any guests this golfer had
-    db.deleteGuestsByHost.run(eventId, golfer.id);
+    const hold = getMaybeHold(event);
+    let released = 0;
+    const { result: held, changes } = updateQueue(eventId, nextPosition => {
+      const current = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
+      // A maybe brings no guests
+      released = db.deleteGuestsByHost.run(eventId, golfer.id).changes;
 
-    // If they were in the top 16, bump up waitlist
-    if (wasIn && previousPosition && previousPosition <= MAX_PLAYERS) {
-      await bumpWaitlist(eventId);
+      // Hold the spot they have in the field, or an open one
+      let position = null;
+      if (hold && current?.status === 'in' && current.position <= maxPlayers) {
+        position = current.position;
+      } else if (hold && db.getQueueForEvent.all(eventId, eventId).filter(e => e.type === 'guest' || e.id !== current?.id).length < maxPlayers) {
+        position = nextPosition();
+      }
+
+      db.upsertResponse.run(eventId, golfer.id, 'maybe', position);
+      if (position) {
+        db.setMaybeHold.run(hold.expiresAt, hold.remindAt, eventId, golfer.id);
+      }
+      return position !== null;
+    });
+
+    if (held) {
+      db.createJob.run(event.group_id, eventId, 'remind_holds', hold.remindAt);
+      db.createJob.run(event.group_id, eventId, 'expire_holds', hold.expiresAt);
     }
+    audit();
+    await notifyQueueChanges(event, changes);
 
-    return { success: true, message: "Got it, you're out." };
+    const response = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
+    let message;
+    if (held) {
+      const until = formatTimestampForDisplay(response.hold_expires_at, getGroupTimezone(getGroup(event.group_id)));
+      message = `Got it, you're a maybe. We're holding spot #${response.position} for you until ${until}. Reply IN to take it.`;
+    } else if (hold) {
+      message = "Got it, you're a maybe. The round is full, so reply IN to join the waitlist when you know.";
+    } else {
+      message = "Got it, you're a maybe. Reply IN or OUT when you know.";
+    }
+    if (released > 0) {
+      message += ` Your ${released === 1 ? 'guest has' : `${released} guests have`} been released; reply IN +${released} to bring them back.`;
+    }
+    return { success: true, message, position: response.position };
   }
 
   return { success: false, message: 'Invalid status' };
 }
 
+/**
+ * Check a tee time preference against an event's tee times
+ * Returns why it can't be met ("None of the tee times (...) are after 9:00 AM."), or null
+ */
+function checkTimePreference(event, preference) {
+  const times = JSON.parse(event.times);
+  if (getPreferredTimes(preference, times).length > 0) {
+    return null;
+  }
+  return `None of the tee times (${times.map(formatTeeTime).join(', ')}) are ${formatTimePreference(preference).replace(/ only$/, '')}.`;
+}
+
+/**
+ * Set which tee times an IN golfer can make ("early", "after 09:00", ...; null for any)
+ * A preference that none of the event's tee times meet is turned down
+ * @param {Object} actor - Who made the change (default: the golfer over SMS)
+ * Returns: { success, message }
+ */
+function setTimePreference(golfer, eventId, preference, actor = golferActor(golfer)) {
+  const event = db.getEventById.get(eventId);
+  const response = db.getResponseByGolferAndEvent.get(eventId, golfer.id);
+  if (!event || response?.status !== 'in') {
+    return { success: false, message: 'Reply IN first, then your tee time preference.' };
+  }
+
+  const problem = checkTimePreference(event, preference);
+  if (problem) {
+    return { success: false, message: problem };
+  }
+
+  if ((response.time_preference || null) !== preference) {
+    db.setTimePreference.run(preference, eventId, golfer.id);
+    recordAudit(actor, 'time_preference', {
+      eventId,
+      golferId: golfer.id,
+      before: { timePreference: response.time_preference || null },
+      after: { timePreference: preference }
+    });
+  }
+
+  return { success: true, message: `Noted: ${formatTimePreference(preference)}.` };
+}
+
+/**
+ * Name a golfer's guests for an event, in queue order ("Bob Smith, Tom")
+ * @param {Object} actor - Who made the change (default: the golfer over SMS)
+ * Returns: { success, message }
+ */
+function nameGuests(golfer, eventId, names, actor = golferActor(golfer)) {
+  const event = db.getEventById.get(eventId);
+  const guests = db.getGuestsByHost.all(eventId, golfer.id).sort((a, b) => a.position - b.position);
+  const label = event ? `Golf ${formatDateForDisplay(event.date, getGroupTimezone(getGroup(event.group_id)))}` : 'this round';
+
+  if (guests.length === 0) {
+    return { success: false, message: `You don't have any guests for ${label}.` };
+  }
+
+  if (names.length > guests.length) {
+    const count = guests.length;
+    return {
+      success: false,
+      message: `You have ${count} guest${count !== 1 ? 's' : ''} for ${label}. Send ${count === 1 ? 'one name' : `up to ${count} names`}.`
+    };
+  }
+
+  names.forEach((name, i) => {
+    const guest = guests[i];
+    if (guest.name === name) return;
+
+    db.updateGuestName.run(name, guest.id);
+    recordAudit(actor, 'guest_rename', {
+      eventId,
+      golferId: golfer.id,
+      before: { name: guest.name },
+      after: { name }
+    });
+    guest.name = name;
+  });
+
+  const list = guests.map(g => g.name).join(', ');
+  return { success: true, message: `Thanks! Your guest${guests.length !== 1 ? 's' : ''} for ${label}: ${list}` };
+}
+
 /**
  * Get total confirmed count (responses + guests)
  */
@@ -206,52 +571,314 @@ function getTotalConfirmedCount(eventId) {
 }
 
 /**
- * Bump first waitlisted person into confirmed spot
+ * Hours a group's MAYBE golfers have a spot held for them (0 = no holds)
+ */
+function getMaybeHoldHours(group) {
+  return group && group.maybe_hold_hours !== null && group.maybe_hold_hours !== undefined
+    ? group.maybe_hold_hours
+    : DEFAULT_MAYBE_HOLD_HOURS;
+}
+
+/**
+ * When a MAYBE replying now would have its spot released, and be reminded first
+ * Returns: { expiresAt, remindAt } as UTC SQLite timestamps, or null if the
+ * group has holds off or the deadline has passed
  */
-async function bumpWaitlist(eventId) {
-  const waitlisted = db.getFirstWaitlisted.get(eventId);
-  if (!waitlisted) {
+function getMaybeHold(event) {
+  const hours = getMaybeHoldHours(getGroup(event.group_id));
+  if (!(hours > 0)) {
     return null;
   }
 
-  // Find the next available position in top 16
-  const responses = db.getResponsesForEvent.all(eventId);
-  const guests = db.getGuestsForEvent.all(eventId);
+  const now = Date.now();
+  let expires = now + hours * 60 * 60 * 1000;
+  if (event.deadline) {
+    expires = Math.min(expires, fromSqliteTimestamp(event.deadline).getTime());
+  }
+  if (expires <= now) {
+    return null;
+  }
 
-  const takenPositions = new Set([
-    ...responses
-      .filter(r => r.status === 'in' && r.position <= MAX_PLAYERS)
-      .map(r => r.position),
-    ...guests
-      .filter(g => g.position <= MAX_PLAYERS)
-      .map(g => g.position)
-  ]);
+  const lead = Math.min(HOLD_REMINDER_HOURS * 60 * 60 * 1000, (expires - now) / 2);
+  return { expiresAt: toSqliteTimestamp(new Date(expires)), remindAt: toSqliteTimestamp(new Date(expires - lead)) };
+}
+
+/**
+ * Renumber an event's queue 1..n in its current order
+ */
+function compactQueue(eventId) {
+  db.getQueueForEvent.all(eventId, eventId).forEach((entry, i) => {
+    if (entry.position === i + 1) return;
+    const update = entry.type === 'guest' ? db.updateGuestPosition : db.updatePosition;
+    update.run(i + 1, entry.id);
+  });
+}
 
-  let newPosition = 1;
-  while (takenPositions.has(newPosition) && newPosition <= MAX_PLAYERS) {
-    newPosition++;
+/**
+ * Hours a group's waitlisted golfers get to accept an open spot (0 = no offers)
+ */
+function getOfferHours(group) {
+  return group && group.offer_hours !== null && group.offer_hours !== undefined
+    ? group.offer_hours
+    : DEFAULT_OFFER_HOURS;
+}
+
+/**
+ * Change an event's queue of golfers and guests in one IMMEDIATE transaction
+ *
+ * The write lock is taken before positions are read, so simultaneous replies
+ * (or a second app instance on the same database) can't claim the same spot.
+ * Positions are unique and gap-free: the queue is renumbered before and after
+ * the change, so anyone who leaves moves everyone behind them up, filling
+ * every seat they freed. With offers on, a golfer moved into the field is
+ * offered the spot instead (unless they've opted out of texts) and holds it
+ * until they accept or the offer runs out.
+ *
+ * @param {Function} change - Synchronous; gets nextPosition() for new entries
+ * Returns: { result, changes } - change's return value, and who to tell about
+ *   it (see notifyQueueChanges); promotions are already audited
+ */
+function updateQueue(eventId, change) {
+  return db.db.transaction(() => {
+    const event = db.getEventById.get(eventId);
+    const maxPlayers = event.max_players;
+    compactQueue(eventId);
+
+    const waitlistedGolfers = db.getResponsesForEvent.all(eventId)
+      .filter(r => r.status === 'in' && r.position > maxPlayers);
+    const waitlistedGuests = db.getGuestsForEvent.all(eventId)
+      .filter(g => g.position > maxPlayers);
+
+    let lastPosition = db.getQueueForEvent.all(eventId, eventId).length;
+    const result = change(() => ++lastPosition);
+    compactQueue(eventId);
+
+    const changes = { promoted: [], promotedGuests: [], offered: [], moved: [] };
+    const offerHours = getOfferHours(getGroup(event.group_id));
+
+    const responsesAfter = new Map(db.getResponsesForEvent.all(eventId).map(r => [r.golfer_id, r]));
+    for (const r of waitlistedGolfers) {
+      const now = responsesAfter.get(r.golfer_id);
+      if (now.status !== 'in' || now.position === r.position) continue;
+
+      // Golfers who opted out can't get the offer text, so they move straight in
+      if (now.position <= maxPlayers && offerHours > 0 && canText(now)) {
+        // Hold the spot until they accept (see expireOffers)
+        const expiresAt = toSqliteTimestamp(new Date(Date.now() + offerHours * 60 * 60 * 1000));
+        db.upsertResponse.run(eventId, r.golfer_id, 'offered', now.position);
+        db.createOffer.run(eventId, r.golfer_id, expiresAt);
+        db.createJob.run(event.group_id, eventId, 'expire_offers', expiresAt);
+        recordAudit(SYSTEM_ACTOR, 'waitlist_offer', {
+          eventId,
+          golferId: r.golfer_id,
+          before: { position: r.position },
+          after: { position: now.position, expiresAt }
+        });
+        changes.offered.push({ ...now, expiresAt });
+        continue;
+      }
+
+      if (now.position <= maxPlayers) {
+        recordAudit(SYSTEM_ACTOR, 'waitlist_bump', {
+          eventId,
+          golferId: r.golfer_id,
+          before: { position: r.position },
+          after: { position: now.position }
+        });
+        changes.promoted.push(now);
+        continue;
+      }
+
+      // Still waiting: only text about a real move (see WAITLIST_UPDATE_STEP)
+      const waitlistNumber = now.position - maxPlayers;
+      const lastTold = r.waitlist_notified || r.position - maxPlayers;
+      if (waitlistNumber === 1 || lastTold - waitlistNumber >= WAITLIST_UPDATE_STEP) {
+        db.setWaitlistNotified.run(waitlistNumber, now.id);
+        changes.moved.push({ ...now, waitlistNumber });
+      }
+    }
+
+    const guestsAfter = new Map(db.getGuestsForEvent.all(eventId).map(g => [g.id, g]));
+    for (const g of waitlistedGuests) {
+      const now = guestsAfter.get(g.id);
+      if (!now || now.position > maxPlayers) continue;
+
+      recordAudit(SYSTEM_ACTOR, 'waitlist_bump', {
+        eventId,
+        golferId: g.host_golfer_id,
+        before: { position: g.position, guest: g.name },
+        after: { position: now.position, guest: now.name }
+      });
+      changes.promotedGuests.push(now);
+    }
+
+    return { result, changes };
+  }).immediate();
+}
+
+/**
+ * Text everyone a queue change affected: golfers (and hosts of guests) who
+ * got a confirmed spot or a spot offer, and golfers who moved up the waitlist
+ */
+async function notifyQueueChanges(event, { promoted, promotedGuests, offered, moved }) {
+  const maxPlayers = event.max_players;
+  const from = getEventFromNumber(event);
+  const options = { eventId: event.id, kind: 'waitlist' };
+  const group = getGroup(event.group_id);
+  const label = formatDateForDisplay(event.date, getGroupTimezone(group));
+
+  // Name the round when golfers have more than one open
+  const reply = db.getOpenEvents.all(event.group_id).length > 1 ? ` ${formatEventLabel(event.date)}` : '';
+  for (const golfer of offered) {
+    const hours = getOfferHours(group);
+    if (canText(golfer)) {
+      await sendSMS(
+        golfer.phone,
+        `Spot open for Golf ${label} at ${event.course}! Reply YES${reply} within ${hours} hour${hours !== 1 ? 's' : ''} to take it, or NO${reply} to pass.`,
+        from,
+        options
+      );
+    }
+    console.log(`Offered ${golfer.name} position ${golfer.position} until ${golfer.expiresAt}`);
+  }
+
+  for (const golfer of promoted) {
+    const guests = promotedGuests.filter(g => g.host_golfer_id === golfer.golfer_id);
+    const withGuests = guests.length > 0 ? ` with ${guests.length} guest${guests.length > 1 ? 's' : ''}` : '';
+    if (canText(golfer)) {
+      await sendSMS(golfer.phone, `Spot opened—you're now in (#${golfer.position} of ${maxPlayers})${withGuests}`, from, options);
+    }
+    console.log(`Bumped ${golfer.name} from waitlist to position ${golfer.position}`);
+  }
+
+  // Guests whose host was already in (or is still waiting) - one text per host
+  const promotedIds = new Set(promoted.map(r => r.golfer_id));
+  const guestsByHost = new Map();
+  promotedGuests.filter(g => !promotedIds.has(g.host_golfer_id)).forEach(g => {
+    guestsByHost.set(g.host_phone, [...(guestsByHost.get(g.host_phone) || []), g]);
+  });
+  for (const [phone, guests] of guestsByHost) {
+    const message = guests.length === 1
+      ? `Spot opened—your guest ${guests[0].name} is now in (#${guests[0].position} of ${maxPlayers})`
+      : `Spots opened—${guests.length} of your guests are now in`;
+    if (canText({ opted_out: guests[0].host_opted_out })) {
+      await sendSMS(phone, message, from, options);
+    }
+    guests.forEach(g => console.log(`Bumped ${g.name} from waitlist to position ${g.position}`));
+  }
+
+  for (const golfer of moved.filter(canText)) {
+    const message = golfer.waitlistNumber === 1
+      ? `You're next on the waitlist for Golf ${label}.`
+      : `You've moved up to waitlist #${golfer.waitlistNumber} for Golf ${label}.`;
+    await sendSMS(golfer.phone, message, from, options);
+  }
+}
+
+/**
+ * Expire an event's spot offers that weren't accepted in time
+ * Each golfer is taken off the queue and the spot is offered to the next in line
+ * Returns: { expired }
+ */
+async function expireOffers(eventId) {
+  const event = db.getEventById.get(eventId);
+  if (!event || event.status === 'closed') {
+    return { expired: 0 };
+  }
+
+  const expired = db.getExpiredOffersForEvent.all(eventId);
+  for (const offer of expired) {
+    const golfer = db.getGolferById.get(offer.golfer_id);
+    const before = getResponseSnapshot(eventId, golfer.id);
+    const { changes } = updateQueue(eventId, () => {
+      db.resolveOffer.run('expired', eventId, golfer.id);
+      db.upsertResponse.run(eventId, golfer.id, 'out', null);
+      db.deleteGuestsByHost.run(eventId, golfer.id);
+      db.setTimePreference.run(null, eventId, golfer.id);
+    });
+    recordAudit(SYSTEM_ACTOR, 'rsvp', { eventId, golferId: golfer.id, before, after: getResponseSnapshot(eventId, golfer.id) });
+
+    if (canText(golfer)) {
+      await sendSMS(
+        golfer.phone,
+        `Your spot offer for Golf ${formatDateForDisplay(event.date, getGroupTimezone(getGroup(event.group_id)))} expired, so it went to the next golfer. Reply IN to rejoin the waitlist.`,
+        getEventFromNumber(event),
+        { eventId, kind: 'waitlist' }
+      );
+    }
+    await notifyQueueChanges(event, changes);
+  }
+
+  return { expired: expired.length };
+}
+
+/**
+ * Release an event's MAYBE holds that weren't turned into an IN in time
+ * Each golfer stays a maybe, and the spot goes to the next in line
+ * Returns: { released }
+ */
+async function expireHolds(eventId) {
+  const event = db.getEventById.get(eventId);
+  if (!event || event.status === 'closed') {
+    return { released: 0 };
   }
 
-  if (newPosition <= MAX_PLAYERS) {
-    db.updatePosition.run(newPosition, waitlisted.id);
+  const label = formatDateForDisplay(event.date, getGroupTimezone(getGroup(event.group_id)));
+  const expired = db.getExpiredHoldsForEvent.all(eventId);
+  for (const hold of expired) {
+    const before = getResponseSnapshot(eventId, hold.golfer_id);
+    const { changes } = updateQueue(eventId, () => db.releaseMaybeHold.run(hold.id));
+    recordAudit(SYSTEM_ACTOR, 'rsvp', { eventId, golferId: hold.golfer_id, before, after: getResponseSnapshot(eventId, hold.golfer_id) });
+
+    if (canText(hold)) {
+      await sendSMS(
+        hold.phone,
+        `The spot held for you for Golf ${label} has been released. You're still down as a maybe; reply IN if you can play.`,
+        getEventFromNumber(event),
+        { eventId, kind: 'maybe' }
+      );
+    }
+    await notifyQueueChanges(event, changes);
+  }
+
+  return { released: expired.length };
+}
+
+/**
+ * Remind MAYBE golfers whose held spot is about to be released
+ * Returns: { reminded }
+ */
+async function remindHolds(eventId) {
+  const event = db.getEventById.get(eventId);
+  if (!event || event.status === 'closed') {
+    return { reminded: 0 };
+  }
+
+  const timeZone = getGroupTimezone(getGroup(event.group_id));
+  const label = formatDateForDisplay(event.date, timeZone);
+  const due = db.getDueHoldRemindersForEvent.all(eventId);
+  for (const hold of due) {
+    // Cleared first so a retried job can't remind anyone twice
+    db.clearHoldReminder.run(hold.id);
+    if (!canText(hold)) continue;
 
-    // Notify the bumped-up golfer
     await sendSMS(
-      waitlisted.phone,
-      `Spot opened—you're now in (#${newPosition} of ${MAX_PLAYERS})`
+      hold.phone,
+      `Still a maybe for Golf ${label} at ${event.course}? Your held spot is released at ${formatTimestampForDisplay(hold.hold_expires_at, timeZone)}. Reply IN to take it or OUT to free it.`,
+      getEventFromNumber(event),
+      { eventId, kind: 'maybe' }
     );
-
-    console.log(`Bumped ${waitlisted.name} from waitlist to position ${newPosition}`);
-    return waitlisted;
   }
 
-  return null;
+  return { reminded: due.length };
 }
 
 /**
- * Generate Friday summary for manager
+ * Who's where for an event: confirmed golfers and guests, spot offers, the
+ * waitlist, maybes (and the spots they hold), who's out and who hasn't answered
+ * Returns null if the event doesn't exist
  */
-function generateSummary(eventId) {
+function getEventRoster(eventId) {
   const event = db.getEventById.get(eventId);
   if (!event) {
     return null;
@@ -259,50 +886,93 @@ function generateSummary(eventId) {
 
   const responses = db.getResponsesForEvent.all(eventId);
   const guests = db.getGuestsForEvent.all(eventId);
-  const allGolfers = db.getAllActiveGolfers.all();
+  const allGolfers = db.getAllActiveGolfers.all(event.group_id);
+  const maxPlayers = event.max_players;
 
   // Combine confirmed golfers and guests
-  const confirmedGolfers = responses
-    .filter(r => r.status === 'in' && r.position <= MAX_PLAYERS)
-    .sort((a, b) => a.position - b.position)
-    .map(r => r.name);
+  const confirmedGolfers = responses.filter(r => r.status === 'in' && r.position <= maxPlayers);
+  const confirmedGuests = guests.filter(g => g.position <= maxPlayers);
+  const confirmed = [...confirmedGolfers, ...confirmedGuests]
+    .map(p => p.name)
+    .sort();
 
-  const confirmedGuests = guests
-    .filter(g => g.position <= MAX_PLAYERS)
+  // Waitlist: golfers and guests in queue order
+  const waitlist = [
+    ...responses.filter(r => r.status === 'in' && r.position > maxPlayers),
+    ...guests.filter(g => g.position > maxPlayers)
+  ]
     .sort((a, b) => a.position - b.position)
-    .map(g => g.name);
-
-  const confirmed = [...confirmedGolfers, ...confirmedGuests].sort();
+    .map(p => ({ name: p.name, golferId: p.golfer_id || null, number: p.position - maxPlayers }));
 
-  // Waitlist
-  const waitlistGolfers = responses
-    .filter(r => r.status === 'in' && r.position > MAX_PLAYERS)
-    .sort((a, b) => a.position - b.position)
-    .map(r => r.name);
-
-  const waitlistGuests = guests
-    .filter(g => g.position > MAX_PLAYERS)
-    .sort((a, b) => a.position - b.position)
-    .map(g => g.name);
-
-  const waitlist = [...waitlistGolfers, ...waitlistGuests];
-
-  const out = responses
-    .filter(r => r.status === 'out')
-    .map(r => r.name);
+  const offered = responses.filter(r => r.status === 'offered');
+  const maybe = responses.filter(r => r.status === 'maybe');
 
   const respondedIds = new Set(responses.map(r => r.golfer_id));
   const noResponse = allGolfers
     .filter(g => !respondedIds.has(g.id))
     .map(g => g.name);
 
-  const displayDate = formatDateForDisplay(event.date);
-  const times = JSON.parse(event.times);
+  return {
+    event,
+    maxPlayers,
+    times: JSON.parse(event.times),
+    responses,
+    guests,
+    confirmed,
+    offered: offered.map(r => r.name),
+    maybe: maybe.map(r => ({ name: r.name, golferId: r.golfer_id, position: r.position, holdExpiresAt: r.hold_expires_at })),
+    openSpots: Math.max(0, maxPlayers - confirmed.length - offered.length - maybe.filter(r => r.position).length),
+    waitlist,
+    out: responses.filter(r => r.status === 'out').map(r => r.name),
+    noResponse
+  };
+}
+
+/**
+ * "Golf Sat 11/29 at Pebble" for golfer-facing replies
+ */
+function formatEventHeading(event) {
+  const displayDate = formatDateForDisplay(event.date, getGroupTimezone(getGroup(event.group_id)));
+  return `Golf ${displayDate} at ${event.course}`;
+}
 
-  let summary = `Golf ${displayDate} ${event.course} - ${confirmed.length} confirmed\n`;
-  summary += `Times: ${times.join(', ')}\n\n`;
+/**
+ * Generate Friday summary for manager
+ */
+function generateSummary(eventId) {
+  const roster = getEventRoster(eventId);
+  if (!roster) {
+    return null;
+  }
+
+  const { event, maxPlayers, times, confirmed, offered, out, noResponse } = roster;
+  const timeZone = getGroupTimezone(getGroup(event.group_id));
+  const waitlist = roster.waitlist.map(p => `${p.number}. ${p.name}`);
+  const maybe = roster.maybe.map(p => p.holdExpiresAt
+    ? `${p.name} (holding a spot until ${formatTimestampForDisplay(p.holdExpiresAt, timeZone)})`
+    : p.name);
+  const displayDate = formatDateForDisplay(event.date, timeZone);
+
+  let summary = `Golf ${displayDate} ${event.course} - ${confirmed.length} of ${maxPlayers} confirmed\n`;
+  summary += `Times: ${times.map(formatTeeTime).join(', ')}\n\n`;
   summary += `IN (${confirmed.length}): ${confirmed.join(', ') || 'None'}\n\n`;
 
+  // Golfers who can only make some of the tee times, in queue order
+  const preferences = roster.responses
+    .filter(r => r.status === 'in' && r.time_preference)
+    .map(r => `${r.name} (${formatTimePreference(r.time_preference)})`);
+  if (preferences.length > 0) {
+    summary += `TEE TIME REQUESTS: ${preferences.join(', ')}\n\n`;
+  }
+
+  if (offered.length > 0) {
+    summary += `OFFERED, NOT YET ACCEPTED (${offered.length}): ${offered.join(', ')}\n\n`;
+  }
+
+  if (maybe.length > 0) {
+    summary += `MAYBE (${maybe.length}): ${maybe.join(', ')}\n\n`;
+  }
+
   if (waitlist.length > 0) {
     summary += `WAITLIST (${waitlist.length}): ${waitlist.join(', ')}\n\n`;
   }
@@ -319,40 +989,157 @@ function generateSummary(eventId) {
 }
 
 /**
- * Send Friday summary to manager
+ * A golfer's own place for an event (their STATUS reply): in, on the
+ * waitlist, holding a spot offer, maybe, out, or not yet answered
  */
-async function sendFridaySummary() {
-  const event = db.getActiveEvent.get();
-  if (!event) {
+function generateGolferStatus(golfer, eventId) {
+  const roster = getEventRoster(eventId);
+  if (!roster) {
+    return null;
+  }
+
+  const { event, maxPlayers } = roster;
+  const heading = formatEventHeading(event);
+  const response = roster.responses.find(r => r.golfer_id === golfer.id);
+  const guestCount = roster.guests.filter(g => g.host_golfer_id === golfer.id).length;
+  let details = guestCount > 0 ? ` with ${guestCount} guest${guestCount > 1 ? 's' : ''}` : '';
+  if (response?.time_preference) {
+    details += `, ${formatTimePreference(response.time_preference)}`;
+  }
+
+  if (!response) {
+    return `${heading}: you haven't replied yet. Reply IN or OUT.`;
+  }
+
+  if (response.status === 'out') {
+    return `${heading}: you're out. Reply IN to join.`;
+  }
+
+  if (response.status === 'offered') {
+    const offer = db.getPendingOffersForGolfer.all(golfer.id).find(o => o.event_id === event.id);
+    const until = offer ? ` until ${formatTimestampForDisplay(offer.expires_at, getGroupTimezone(getGroup(event.group_id)))}` : '';
+    return `${heading}: a spot is held for you${until}. Reply YES to take it or NO to pass.`;
+  }
+
+  if (response.status === 'maybe') {
+    if (!response.position) {
+      return `${heading}: you're a maybe. Reply IN or OUT when you know.`;
+    }
+    const until = formatTimestampForDisplay(response.hold_expires_at, getGroupTimezone(getGroup(event.group_id)));
+    return `${heading}: you're a maybe, holding spot #${response.position} until ${until}. Reply IN to take it.`;
+  }
+
+  if (response.position <= maxPlayers) {
+    return `${heading}: you're in (#${response.position} of ${maxPlayers})${details}.`;
+  }
+
+  return `${heading}: you're on waitlist #${response.position - maxPlayers} of ${roster.waitlist.length}${details}.`;
+}
+
+/**
+ * Who's confirmed for an event and how many spots are open (the WHO reply)
+ */
+function generateWhoList(eventId) {
+  const roster = getEventRoster(eventId);
+  if (!roster) {
+    return null;
+  }
+
+  const { event, maxPlayers, confirmed, openSpots, waitlist, maybe } = roster;
+  let message = `${formatEventHeading(event)} - ${confirmed.length} of ${maxPlayers} in`;
+  message += openSpots > 0 ? `, ${openSpots} spot${openSpots !== 1 ? 's' : ''} open` : ', full';
+  message += `\nIN: ${confirmed.join(', ') || 'None yet'}`;
+  if (maybe.length > 0) {
+    message += `\nMaybe: ${maybe.map(p => p.name).join(', ')}`;
+  }
+  if (waitlist.length > 0) {
+    message += `\nWaitlist: ${waitlist.length}`;
+  }
+  return message;
+}
+
+/**
+ * An event's tee times (the TIMES reply)
+ */
+function generateTeeTimes(eventId) {
+  const roster = getEventRoster(eventId);
+  if (!roster) {
+    return null;
+  }
+
+  return `${formatEventHeading(roster.event)}\nTee times: ${roster.times.map(formatTeeTime).join(', ')}`;
+}
+
+/**
+ * Send a group's Friday summary to its managers, one per open event
+ */
+async function sendFridaySummary(groupId) {
+  const events = db.getOpenEvents.all(groupId);
+  if (events.length === 0) {
     console.log('No active event for Friday summary');
     return;
   }
 
-  const summary = generateSummary(event.id);
-  if (summary) {
-    await sendSMS(process.env.MANAGER_PHONE, summary);
-    console.log('Friday summary sent to manager');
+  for (const event of events) {
+    await closeEventWithSummary(event.id, SYSTEM_ACTOR);
   }
+}
 
-  // Close the event after summary
-  db.closeEvent.run(event.id);
+/**
+ * Send a message to every manager of a group who opted in to notifications
+ */
+async function notifyManagers(groupId, message) {
+  const phones = db.getNotifiedManagers.all(groupId).map(m => m.phone);
+  if (phones.length === 0) {
+    console.log(`No managers of group ${groupId} opted in to notifications`);
+    return { queued: 0, messageIds: [] };
+  }
+  return sendToMany(phones, message, getGroupFromNumber(getGroup(groupId)));
 }
 
 /**
- * Forward a message to the manager (for post-Friday messages)
+ * Forward a message to the golfer's group managers (for post-Friday messages)
  */
 async function forwardToManager(golfer, message) {
   const forwardedMsg = `From ${golfer.name}: ${message}`;
-  await sendSMS(process.env.MANAGER_PHONE, forwardedMsg);
+  await notifyManagers(golfer.group_id, forwardedMsg);
 }
 
 module.exports = {
+  PLAYERS_PER_TIME,
+  canText,
+  getFirstTeeTime,
+  getDefaultCapacity,
+  resolveDeadline,
+  isPastDeadline,
+  buildAnnouncementMessage,
+  createEvent,
   createEventAndNotify,
+  findOpenEvents,
+  closeEvent,
+  closeEventWithSummary,
+  remindNonResponders,
   notifyBackupGolfers,
+  getAnnouncementDelivery,
+  resendAnnouncement,
   recordResponse,
-  bumpWaitlist,
+  nameGuests,
+  checkTimePreference,
+  setTimePreference,
+  updateQueue,
+  notifyQueueChanges,
+  expireOffers,
+  expireHolds,
+  remindHolds,
+  getOfferHours,
+  getMaybeHoldHours,
+  getEventRoster,
   generateSummary,
+  generateGolferStatus,
+  generateWhoList,
+  generateTeeTimes,
   sendFridaySummary,
+  notifyManagers,
   forwardToManager,
   getTotalConfirmedCount
 };
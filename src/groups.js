@@ -0,0 +1,61 @@
+/**
+ * Golf groups: each has its own roster, managers, events and Twilio number
+ */
+const db = require('./db');
+
+// Group that pre-existing (single-group) data was migrated into
+const DEFAULT_GROUP_ID = 1;
+
+function getGroup(groupId) {
+  return db.getGroupById.get(groupId) || null;
+}
+
+/**
+ * Find the group an inbound text belongs to from the webhook's To number
+ * Falls back to the default group so a single-group deployment keeps working
+ */
+function getGroupForNumber(to) {
+  const group = to && db.getGroupByTwilioNumber.get(to);
+  if (group) {
+    return group;
+  }
+
+  if (to) {
+    console.warn(`No group uses Twilio number ${to}; routing to default group`);
+  }
+  return getGroup(DEFAULT_GROUP_ID);
+}
+
+/**
+ * The number a group's outbound texts are sent from
+ */
+function getGroupFromNumber(group) {
+  return (group && group.twilio_number) || process.env.TWILIO_PHONE_NUMBER;
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'group';
+}
+
+/**
+ * Create a group with a unique slug
+ * Returns the new group
+ */
+function createGroup({ name, twilioNumber = null, contactName = null }) {
+  const base = slugify(name);
+  let slug = base;
+  for (let i = 2; db.getGroupBySlug.get(slug); i++) {
+    slug = `${base}-${i}`;
+  }
+
+  const result = db.createGroup.run(name, slug, twilioNumber, contactName);
+  return getGroup(result.lastInsertRowid);
+}
+
+module.exports = {
+  DEFAULT_GROUP_ID,
+  getGroup,
+  getGroupForNumber,
+  getGroupFromNumber,
+  createGroup
+};
@@ -8,21 +8,28 @@ console.log('MANAGER_PHONE:', process.env.MANAGER_PHONE);
 const express = require('express');
 console.log('Express loaded');
 
-const { MessagingResponse } = require('twilio').twiml;
+const twilio = require('twilio');
+const { MessagingResponse } = twilio.twiml;
 console.log('Twilio loaded');
 
 const db = require('./db');
 console.log('DB loaded');
 
-const { parseManagerAnnouncement, parseGolferResponse } = require('./parser');
+const { CONFIDENT_RESPONSE, MAX_GUESTS, parseManagerAnnouncement, parseGolferResponse, parseConfirmation, parseGuestNames, parseGuestCommand, extractEventReference, extractTimePreference, formatTimePreference, formatEventLabel, formatDateForDisplay, formatTeeTime } = require('./parser');
 console.log('Parser loaded');
 
-const { createEventAndNotify, notifyBackupGolfers, recordResponse, forwardToManager } = require('./events');
+const { getFirstTeeTime, getDefaultCapacity, resolveDeadline, isPastDeadline, createEventAndNotify, findOpenEvents, closeEvent, notifyBackupGolfers, remindNonResponders, recordResponse, nameGuests, checkTimePreference, setTimePreference, generateSummary, generateGolferStatus, generateWhoList, generateTeeTimes, forwardToManager } = require('./events');
 console.log('Events loaded');
 
-const { sendSMS } = require('./sms');
+const { sendSMS, recordDeliveryStatus, startSendQueue } = require('./sms');
 console.log('SMS loaded');
 
+const { getManager, hasRole } = require('./auth');
+const { DEFAULT_GROUP_ID, getGroup, getGroupForNumber } = require('./groups');
+const { golferActor, managerActor, recordAudit, golferSnapshot } = require('./audit');
+const { scheduleEventJobs, startScheduler } = require('./scheduler');
+const { getGroupTimezone, formatTimestampForDisplay, toSqliteTimestamp } = require('./time');
+
 const app = express();
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
@@ -35,29 +42,90 @@ app.use(express.static(path.join(__dirname, '..', 'public')));
 const apiRoutes = require('./api');
 app.use('/api', apiRoutes);
 
-const MANAGER_PHONES = (process.env.MANAGER_PHONE || '').split(',').map(p => p.trim());
+// Set SKIP_TWILIO_SIGNATURE=true only for local development and tests
+const SKIP_TWILIO_SIGNATURE = process.env.SKIP_TWILIO_SIGNATURE === 'true';
+if (SKIP_TWILIO_SIGNATURE) {
+  console.warn('WARNING: Twilio signature validation is disabled (SKIP_TWILIO_SIGNATURE=true)');
+}
+
+// Railway terminates TLS in front of the app; trust its forwarded proto/host
+app.set('trust proxy', true);
+
+/**
+ * Reject webhook requests that are not signed by Twilio
+ * The signed URL is PUBLIC_URL + path when set, otherwise the request URL
+ */
+function validateTwilioSignature(req, res, next) {
+  if (SKIP_TWILIO_SIGNATURE) {
+    return next();
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  const baseUrl = process.env.PUBLIC_URL
+    ? process.env.PUBLIC_URL.replace(/\/$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  const url = baseUrl + req.originalUrl;
+
+  const valid = !!signature && !!process.env.TWILIO_AUTH_TOKEN &&
+    twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, req.body);
+
+  if (!valid) {
+    console.warn(`Rejected unsigned webhook request to ${url} (From: ${req.body.From || 'unknown'}, IP: ${req.ip})`);
+    return res.status(403).type('text/plain').send('Invalid Twilio signature');
+  }
+
+  next();
+}
 
 /**
  * Main SMS webhook - handles all incoming messages
+ * Each one is saved to inbound_messages with the handler's reading of it
+ * (intent and event) and the reply it got
  */
-app.post('/sms', async (req, res) => {
+app.post('/sms', validateTwilioSignature, async (req, res) => {
   const from = req.body.From;
   const body = req.body.Body;
+  const group = getGroupForNumber(req.body.To);
   
-  console.log(`SMS from ${from}: ${body}`);
+  console.log(`SMS from ${from} to ${group.name}: ${body}`);
   
   const twiml = new MessagingResponse();
+
+  // Handlers reply through this, so the replies can be logged too
+  const replies = [];
+  const reply = {
+    message(text) {
+      replies.push(text);
+      return twiml.message(text);
+    }
+  };
+  const inbound = { intent: null, eventId: null };
+  const manager = getManager(group.id, from);
   
   try {
-    // Check if this is from the manager
-    if (MANAGER_PHONES.includes(from)) {
-      await handleManagerMessage(from, body, twiml);
-    } else {
-      await handleGolferMessage(from, body, twiml);
+    // Carrier keywords (STOP, START, HELP) come first, whoever sends them
+    if (!handleKeyword(group, manager, from, body, reply, inbound)) {
+      // Check if this is from a manager
+      if (manager) {
+        await handleManagerMessage(group, manager, body, reply, inbound);
+      } else {
+        await handleGolferMessage(group, from, body, reply, inbound);
+      }
     }
   } catch (error) {
     console.error('Error handling SMS:', error);
-    twiml.message('Something went wrong. Please try again.');
+    inbound.intent = 'error';
+    reply.message('Something went wrong. Please try again.');
+  }
+
+  try {
+    const golfer = db.getGolferByPhone.get(group.id, from);
+    db.addInboundMessage.run(
+      group.id, from, req.body.To || null, body || '', golfer?.id ?? null, manager?.id ?? null,
+      inbound.eventId, inbound.intent, replies.join('\n\n') || null, req.body.MessageSid || null
+    );
+  } catch (err) {
+    console.error('Inbound message log error:', err);
   }
   
   res.type('text/xml');
@@ -65,29 +133,234 @@ app.post('/sms', async (req, res) => {
 });
 
 /**
- * Handle messages from the group manager
+ * Delivery status callback - Twilio reports each sent text as delivered,
+ * undelivered or failed (failures are retried, see sms.js)
+ */
+app.post('/sms/status', validateTwilioSignature, (req, res) => {
+  const { MessageSid, MessageStatus, ErrorCode } = req.body;
+  recordDeliveryStatus(MessageSid, MessageStatus, ErrorCode ? `Error ${ErrorCode}` : null);
+  res.sendStatus(204);
+});
+
+// Carrier keywords for opting out of texts, back in, and asking who's texting
+const OPT_OUT_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit'];
+const OPT_IN_KEYWORDS = ['start', 'unstop', 'subscribe', 'join'];
+const HELP_KEYWORDS = ['help', 'info'];
+
+/**
+ * Answer the carrier keywords and record a golfer's opt-out state
+ * YES also opts back in, but only from a golfer who is opted out (otherwise
+ * it's an RSVP). A golfer's HELP also lists their commands; managers' HELP
+ * is their own command list, so it's left to them.
+ * Returns true if the message was a keyword
  */
-async function handleManagerMessage(fromt, body, twiml) {
-  // Try to parse as announcement
-  const announcement = parseManagerAnnouncement(body);
+function handleKeyword(group, manager, from, body, twiml, inbound) {
+  const keyword = body.trim().toLowerCase();
+  const golfer = db.getGolferByPhone.get(group.id, from);
+
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    inbound.intent = 'opt_out';
+    if (golfer && !golfer.opted_out) {
+      setGolferOptedOut(golfer, true);
+    }
+    twiml.message(`You're unsubscribed from ${group.name} texts and will not receive any more. Reply START to resubscribe.`);
+    return true;
+  }
+
+  if (OPT_IN_KEYWORDS.includes(keyword) || (keyword === 'yes' && golfer?.opted_out)) {
+    inbound.intent = 'opt_in';
+    if (golfer?.opted_out) {
+      setGolferOptedOut(golfer, false);
+    }
+    twiml.message(`You have opted-in to receive weekly messages regarding ${group.name} tee times. If you wish to opt-out, reply STOP at any time.`);
+    return true;
+  }
+
+  if (HELP_KEYWORDS.includes(keyword) && !manager) {
+    inbound.intent = 'help';
+    const contact = group.contact_name ? `Questions? Contact ${group.contact_name}.` : 'Questions? Contact the group manager.';
+    twiml.message(
+      `${group.name}: tee time invites, about weekly. Reply IN, OUT or MAYBE to an invite, ` +
+      `STATUS for your spot, WHO for who's playing, TIMES for tee times. ` +
+      `${contact} Msg & data rates may apply. Reply STOP to opt out.`
+    );
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Record a golfer opting out of (or back in to) texts
+ */
+function setGolferOptedOut(golfer, optedOut) {
+  db.setGolferOptedOut.run(optedOut ? 1 : 0, golfer.id);
+  recordAudit(golferActor(golfer), optedOut ? 'golfer_opt_out' : 'golfer_opt_in', {
+    golferId: golfer.id,
+    before: { optedOut: !!golfer.opted_out },
+    after: { optedOut }
+  });
+  console.log(`${golfer.name} opted ${optedOut ? 'out of' : 'back in to'} texts`);
+}
+
+// Replies to an announcement that couldn't be read, by the part that was wrong
+const ANNOUNCEMENT_EXAMPLE = 'Golf 11/30 Red 8:08, 8:16';
+const ANNOUNCEMENT_PROBLEMS = {
+  date: `Couldn't read the date. Try: ${ANNOUNCEMENT_EXAMPLE}`,
+  past_date: 'That date has already passed.',
+  date_mismatch: ({ date }) => `That date is ${formatDateForDisplay(date)}, which doesn't match the day given. Fix the day or the date and resend.`,
+  course: `Add the course and tee times, e.g. ${ANNOUNCEMENT_EXAMPLE}`,
+  times: `Couldn't read the tee times. Try: ${ANNOUNCEMENT_EXAMPLE}`,
+  deadline: "Couldn't read the deadline. Try: Deadline Fri 6pm"
+};
+
+// Commands open to every manager role
+const VIEWER_COMMANDS = ['status', 'list', 'help', 'commands', 'in', 'out'];
+
+const RESPONSE_WINDOW_CLOSED = 'Response window closed. Your message has been forwarded to the group manager.';
+
+/**
+ * Pick the open event a command refers to
+ * With several open events and no (or an ambiguous) reference, asks which one
+ * Returns: { event } or { reply }
+ */
+function resolveEvent(group, eventRef, command) {
+  const openEvents = findOpenEvents(group.id);
+  if (openEvents.length === 0) {
+    return { reply: 'No active event.' };
+  }
+
+  const matches = eventRef ? findOpenEvents(group.id, eventRef) : openEvents;
+  if (matches.length === 1) {
+    return { event: matches[0] };
+  }
+
+  if (matches.length === 0) {
+    const labels = openEvents.map(e => formatEventLabel(e.date)).join(', ');
+    return { reply: `No open event on that day. Open events: ${labels}` };
+  }
+
+  const options = matches.map(e => `${command} ${formatEventLabel(e.date)}`).join(' or ');
+  return { reply: `Which round? Reply ${options}` };
+}
+
+/**
+ * Handle messages from a group manager
+ * Notes what the message was (inbound.intent) and which event it touched
+ */
+async function handleManagerMessage(group, manager, body, twiml, inbound) {
+  const command = body.trim().toLowerCase();
+  const actor = managerActor(manager, 'sms');
+
+  // STATUS, CLOSED, BACKUPS, REMIND, IN and OUT can name an event: "STATUS SAT", "CLOSED 11/30"
+  const { text: baseCommand, eventRef } = extractEventReference(command);
+
+  // A manager on the roster answers a waitlist spot offer like any golfer:
+  // YES takes the spot, NO passes. An announcement preview gets YES/NO first.
+  const rosterGolfer = db.getGolferByPhone.get(group.id, manager.phone);
+  const offers = rosterGolfer ? db.getPendingOffersForGolfer.all(rosterGolfer.id) : [];
+  const offerAnswer = offers.length > 0 && !db.getPendingAnnouncement.get(manager.id) ? parseConfirmation(baseCommand) : null;
+  if (offerAnswer !== null) {
+    const status = offerAnswer ? 'in' : 'out';
+    inbound.intent = status;
+    const offerEvents = offers.map(o => db.getEventById.get(o.event_id));
+    const named = eventRef ? new Set(findOpenEvents(group.id, eventRef).map(e => e.id)) : null;
+    const matches = named ? offerEvents.filter(e => named.has(e.id)) : offerEvents;
+    if (matches.length !== 1) {
+      const options = offerEvents.map(e => `${offerAnswer ? 'YES' : 'NO'} ${formatEventLabel(e.date)}`).join(' or ');
+      twiml.message(`Which round? Reply ${options}`);
+      return;
+    }
+
+    inbound.eventId = matches[0].id;
+    const result = await recordResponse(rosterGolfer, matches[0].id, status);
+    twiml.message(result.message);
+    return;
+  }
+
+  // Viewers can look but not change anything
+  if (!hasRole(manager, 'co-manager') && !VIEWER_COMMANDS.includes(baseCommand)) {
+    inbound.intent = 'not_allowed';
+    twiml.message('Your viewer role can only use STATUS, LIST, IN and OUT. Ask the group owner for access.');
+    return;
+  }
+
+  // YES sends the announcement the manager just previewed; NO drops it
+  const pending = db.getPendingAnnouncement.get(manager.id);
+  const confirmed = pending ? parseConfirmation(body) : null;
+  if (confirmed === false) {
+    inbound.intent = 'announcement_cancelled';
+    db.clearPendingAnnouncement.run(manager.id);
+    twiml.message('OK, announcement not sent.');
+    return;
+  }
+
+  if (confirmed) {
+    inbound.intent = 'announcement';
+    db.clearPendingAnnouncement.run(manager.id);
+    const { date, course, times, maxPlayers, deadline } = JSON.parse(pending.data);
+    if (isPastDeadline(deadline)) {
+      twiml.message('That deadline has passed since the preview. Send the announcement again with a later Deadline line.');
+      return;
+    }
+
+    const { eventId, notified } = await createEventAndNotify(group, date, course, times, maxPlayers, deadline, actor);
+    inbound.eventId = eventId;
+    const event = db.getEventById.get(eventId);
+    scheduleEventJobs(event);
+    const replyBy = event.deadline ? ` Replies close ${formatTimestampForDisplay(event.deadline, getGroupTimezone(group))}.` : '';
+    twiml.message(`Event created for ${date} (${event.max_players} spots). Invite sent to ${notified} golfers.${replyBy}`);
+    return;
+  }
+
+  // Anything starting with "Golf" is an announcement: preview what was read, or say what wasn't
+  const announcement = parseManagerAnnouncement(body, getGroupTimezone(group), getFirstTeeTime(group));
   
   if (announcement) {
+    inbound.intent = 'announcement_preview';
+    const invalid = announcement.invalidTimes;
+    if (invalid.length > 0) {
+      twiml.message(`${invalid.join(', ')} ${invalid.length > 1 ? "aren't tee times" : "isn't a tee time"}. Try: ${ANNOUNCEMENT_EXAMPLE}`);
+      return;
+    }
+    if (announcement.problem) {
+      const problem = ANNOUNCEMENT_PROBLEMS[announcement.problem];
+      twiml.message(typeof problem === 'function' ? problem(announcement) : problem);
+      return;
+    }
+
     const { date, course, times } = announcement;
-    const { eventId, notified } = await createEventAndNotify(date, course, times);
-    twiml.message(`Event created for ${date}. Invite sent to ${notified} golfers.`);
+    const deadline = resolveDeadline(group, date, announcement.deadline);
+    if (announcement.deadline && isPastDeadline(deadline)) {
+      twiml.message('That deadline has already passed. Fix the Deadline line and resend.');
+      return;
+    }
+
+    const maxPlayers = announcement.maxPlayers || getDefaultCapacity(times);
+    const expiresAt = toSqliteTimestamp(new Date(Date.now() + CONVERSATION_STATE_MINUTES * 60 * 1000));
+    db.setPendingAnnouncement.run(manager.id, JSON.stringify({ date, course, times, maxPlayers, deadline }), expiresAt);
+
+    const timeZone = getGroupTimezone(group);
+    const replyBy = deadline ? `, replies close ${formatTimestampForDisplay(deadline, timeZone)}` : '';
+    twiml.message(
+      `${formatDateForDisplay(date, timeZone)}, ${course}, ${times.length} time${times.length !== 1 ? 's' : ''} ` +
+      `(${times.map(formatTeeTime).join(', ')}), ${maxPlayers} spots${replyBy} — reply YES to send`
+    );
     return;
   }
   
   // Check for admin commands
-  const command = body.trim().toLowerCase();
-  
   if (command === 'commands') {
+    inbound.intent = 'help';
     twiml.message(
       'Commands:\n' +
-      '• Golf announcement to create event\n' +
-      '• STATUS - current event summary\n' +
+      '• Golf 11/30 Red 8:08, 8:16 - preview an event, then YES to send\n' +
+      '• Add "Deadline Fri 6pm" to set the reply-by time\n' +
+      '• STATUS - open event summaries\n' +
       '• BACKUPS - notify backup golfers\n' +
+      '• REMIND - nudge golfers who haven\'t answered\n' +
       '• CLOSED - send summary & close event\n' +
+      '• Add a day or date to pick an event (STATUS SAT, CLOSED 11/30)\n' +
       '• LIST - all golfers\n' +
       '• ADD Name Phone\n' +
       '• REMOVE Name or Phone\n' +
@@ -96,34 +369,38 @@ async function handleManagerMessage(fromt, body, twiml) {
     return;
   }
 
-  if (command === 'status') {
-    const event = db.getActiveEvent.get();
-    if (event) {
-      const { generateSummary } = require('./events');
-      const summary = generateSummary(event.id);
-      twiml.message(summary);
+  if (baseCommand === 'status') {
+    inbound.intent = 'status';
+    // Without a day or date, summarize every open event
+    const events = findOpenEvents(group.id, eventRef);
+    if (events.length === 1) inbound.eventId = events[0].id;
+    if (events.length > 0) {
+      events.forEach(event => twiml.message(generateSummary(event.id)));
     } else {
-      twiml.message('No active event.');
+      twiml.message(eventRef ? 'No open event on that day.' : 'No active event.');
     }
     return;
   }
   
-  if (command === 'closed') {
-    const event = db.getActiveEvent.get();
+  if (baseCommand === 'closed') {
+    inbound.intent = 'close';
+    const { event, reply } = resolveEvent(group, eventRef, 'CLOSED');
     if (event) {
-      const { generateSummary } = require('./events');
+      inbound.eventId = event.id;
       const summary = generateSummary(event.id);
-      db.closeEvent.run(event.id);
+      closeEvent(event.id, actor);
       twiml.message(summary);
     } else {
-      twiml.message('No active event to close.');
+      twiml.message(reply === 'No active event.' ? 'No active event to close.' : reply);
     }
     return;
   }
 
-  if (command === 'notify backups' || command === 'backups') {
-    const event = db.getActiveEvent.get();
+  if (baseCommand === 'notify backups' || baseCommand === 'backups') {
+    inbound.intent = 'backups';
+    const { event, reply } = resolveEvent(group, eventRef, 'BACKUPS');
     if (event) {
+      inbound.eventId = event.id;
       const result = await notifyBackupGolfers(event.id);
       if (result.success) {
         twiml.message(`Backup notification sent to ${result.notified} golfers.`);
@@ -131,19 +408,39 @@ async function handleManagerMessage(fromt, body, twiml) {
         twiml.message(result.message);
       }
     } else {
-      twiml.message('No active event.');
+      twiml.message(reply);
+    }
+    return;
+  }
+  
+  if (baseCommand === 'remind') {
+    inbound.intent = 'remind';
+    const { event, reply } = resolveEvent(group, eventRef, 'REMIND');
+    if (event) {
+      inbound.eventId = event.id;
+      const result = await remindNonResponders(event.id);
+      if (result.success) {
+        const skippedNote = result.skipped ? ` (${result.skipped} already reminded in the last few hours)` : '';
+        twiml.message(`Reminder sent to ${result.reminded} golfers${skippedNote}.`);
+      } else {
+        twiml.message(result.message);
+      }
+    } else {
+      twiml.message(reply);
     }
     return;
   }
   
   if (command === 'list') {
-    const golfers = db.getAllActiveGolfers.all();
+    inbound.intent = 'list';
+    const golfers = db.getAllActiveGolfers.all(group.id);
     const names = golfers.map(g => g.name).join(', ');
     twiml.message(`Golfers (${golfers.length}): ${names}`);
     return;
   }
   
   if (command.startsWith('add ')) {
+    inbound.intent = 'add_golfer';
     // Format: "add Name 5551234567"
     const match = body.match(/^add\s+(.+?)\s+(\+?1?\d{10,11})$/i);
     if (match) {
@@ -152,7 +449,13 @@ async function handleManagerMessage(fromt, body, twiml) {
       if (phone.length === 10) phone = '1' + phone;
       phone = '+' + phone;
       
-      db.addGolfer.run(name, phone);
+      const result = db.addGolfer.run(group.id, name, phone);
+      if (result.changes > 0) {
+        recordAudit(actor, 'golfer_add', {
+          golferId: result.lastInsertRowid,
+          after: golferSnapshot(db.getGolferById.get(result.lastInsertRowid))
+        });
+      }
       twiml.message(`Added ${name} (${phone})`);
     } else {
       twiml.message('Format: add Name 5551234567');
@@ -161,6 +464,7 @@ async function handleManagerMessage(fromt, body, twiml) {
   }
 
   if (command.startsWith('remove ')) {
+    inbound.intent = 'remove_golfer';
     // Format: "remove Name" or "remove 5551234567"
     const target = body.slice(7).trim();
 
@@ -169,16 +473,21 @@ async function handleManagerMessage(fromt, body, twiml) {
     if (phone.length === 10) phone = '1' + phone;
     if (phone.length === 11) phone = '+' + phone;
 
-    let golfer = db.getGolferByPhone.get(phone);
+    let golfer = db.getGolferByPhone.get(group.id, phone);
 
     // If not found by phone, try by name
     if (!golfer) {
-      const golfers = db.getAllActiveGolfers.all();
+      const golfers = db.getAllActiveGolfers.all(group.id);
       golfer = golfers.find(g => g.name.toLowerCase() === target.toLowerCase());
     }
 
     if (golfer) {
       db.deactivateGolfer.run(golfer.id);
+      recordAudit(actor, 'golfer_remove', {
+        golferId: golfer.id,
+        before: golferSnapshot(golfer),
+        after: golferSnapshot(db.getGolferById.get(golfer.id))
+      });
       twiml.message(`Removed ${golfer.name}`);
     } else {
       twiml.message(`Golfer not found: ${target}`);
@@ -187,6 +496,7 @@ async function handleManagerMessage(fromt, body, twiml) {
   }
 
   if (command.startsWith('update ')) {
+    inbound.intent = 'update_golfer';
     // Format: "update OldPhone NewPhone" or "update Name NewPhone"
     const match = body.match(/^update\s+(.+?)\s+(\+?1?\d{10,11})$/i);
     if (match) {
@@ -200,16 +510,21 @@ async function handleManagerMessage(fromt, body, twiml) {
       if (oldPhone.length === 10) oldPhone = '1' + oldPhone;
       if (oldPhone.length === 11) oldPhone = '+' + oldPhone;
 
-      let golfer = db.getGolferByPhone.get(oldPhone);
+      let golfer = db.getGolferByPhone.get(group.id, oldPhone);
 
       // If not found by phone, try by name
       if (!golfer) {
-        const golfers = db.getAllActiveGolfers.all();
+        const golfers = db.getAllActiveGolfers.all(group.id);
         golfer = golfers.find(g => g.name.toLowerCase() === target.toLowerCase());
       }
 
       if (golfer) {
         db.updateGolferPhone.run(newPhone, golfer.id);
+        recordAudit(actor, 'golfer_update', {
+          golferId: golfer.id,
+          before: golferSnapshot(golfer),
+          after: golferSnapshot(db.getGolferById.get(golfer.id))
+        });
         twiml.message(`Updated ${golfer.name}: ${newPhone}`);
       } else {
         twiml.message(`Golfer not found: ${target}`);
@@ -221,12 +536,16 @@ async function handleManagerMessage(fromt, body, twiml) {
   }
   
   if (command === 'help') {
+    inbound.intent = 'help';
     twiml.message(
       'Commands:\n' +
-      '• Golf announcement to create event\n' +
-      '• STATUS - current event summary\n' +
+      '• Golf 11/30 Red 8:08, 8:16 - preview an event, then YES to send\n' +
+      '• Add "Deadline Fri 6pm" to set the reply-by time\n' +
+      '• STATUS - open event summaries\n' +
       '• BACKUPS - notify backup golfers\n' +
+      '• REMIND - nudge golfers who haven\'t answered\n' +
       '• CLOSED - send summary & close event\n' +
+      '• Add a day or date to pick an event (STATUS SAT, CLOSED 11/30)\n' +
       '• LIST - all golfers\n' +
       '• ADD Name Phone - add golfer'
     );
@@ -234,95 +553,342 @@ async function handleManagerMessage(fromt, body, twiml) {
   }
 
   // Allow manager to respond IN/OUT like a regular golfer
-  if (command === 'in' || command === 'out') {
-    const golfer = db.getGolferByPhone.get(MANAGER_PHONES[0]); // or pass the actual 'from' number
-    if (golfer) {
-      const event = db.getActiveEvent.get();
-      if (event) {
-        const result = await recordResponse(golfer, event.id, command);
-        twiml.message(result.message);
-        return;
-      }
+  if (baseCommand === 'in' || baseCommand === 'out') {
+    inbound.intent = baseCommand;
+    const golfer = db.getGolferByPhone.get(group.id, manager.phone);
+    if (!golfer) {
+      twiml.message('No active event.');
+      return;
+    }
+
+    const { event, reply } = resolveEvent(group, eventRef, baseCommand.toUpperCase());
+    if (event) {
+      inbound.eventId = event.id;
+      const result = await recordResponse(golfer, event.id, baseCommand);
+      twiml.message(result.message);
+    } else {
+      twiml.message(reply);
     }
-    twiml.message('No active event.');
     return;
   }
   
+  inbound.intent = 'unrecognized';
   twiml.message('Unrecognized command. Reply HELP for options.');
 }
 
+// How long a question we ask waits for the answer (a golfer's guest names
+// after "in +2" or "did you mean", a manager's announcement preview); until
+// then their next text is read as it
+const CONVERSATION_STATE_MINUTES = 60;
+
 /**
- * Handle messages from golfers
+ * Read the golfer's next text as the answer to a question (see handleGolferMessage)
  */
+function askGolfer(golfer, state, eventId, data = null) {
+  const expiresAt = toSqliteTimestamp(new Date(Date.now() + CONVERSATION_STATE_MINUTES * 60 * 1000));
+  db.setConversationState.run(golfer.id, state, eventId, data && JSON.stringify(data), expiresAt);
+}
+
 /**
- * Handle messages from golfers
+ * Name guests from a GUEST command: "GUEST Bob", "GUEST SAT Bob, Tom"
+ * Only events the golfer has guests for are considered
  */
-async function handleGolferMessage(from, body, twiml) {
-  const command = body.trim().toLowerCase();
-  
-  // Handle opt-in
-  if (command === 'start' || command === 'subscribe' || command === 'join') {
-    twiml.message('You have opted-in to receive weekly messages regarding Wigwam Degenerates Sunday Golf Group tee times. If you wish to opt-out, reply STOP at any time.');
+function handleGuestCommand(group, golfer, command, twiml, inbound) {
+  inbound.intent = 'guest_names';
+  const events = findOpenEvents(group.id, command.eventRef)
+    .filter(e => db.getGuestsByHost.all(e.id, golfer.id).length > 0);
+
+  if (events.length === 0) {
+    twiml.message(`You don't have any guests${command.eventRef ? ' for that day' : ''}. Reply IN +1 to bring one.`);
     return;
   }
-  
+
+  if (events.length > 1) {
+    const name = command.names[0] || 'Bob';
+    twiml.message(`Which round? Reply ${events.map(e => `GUEST ${formatEventLabel(e.date)} ${name}`).join(' or ')}`);
+    return;
+  }
+
+  inbound.eventId = events[0].id;
+  if (command.names.length === 0) {
+    twiml.message('Reply GUEST and their names, e.g. GUEST Bob Smith, Tom');
+    return;
+  }
+
+  const result = nameGuests(golfer, events[0].id, command.names);
+  if (result.success) {
+    db.clearConversationState.run(golfer.id);
+  }
+  twiml.message(result.message);
+}
+
+/**
+ * Read a golfer's reply to the guest names prompt
+ * SKIP leaves the guests unnamed, and a plain IN or OUT is still an RSVP
+ * Returns true if the text was handled as names (or SKIP)
+ */
+function handleGuestNamesReply(group, golfer, state, body, twiml, inbound) {
+  // The guests may be gone since we asked (e.g. the golfer dropped out)
+  const response = parseGolferReply(group, extractEventReference(body).text);
+  if (response?.confidence >= CONFIDENT_RESPONSE || db.getGuestsByHost.all(state.event_id, golfer.id).length === 0) {
+    db.clearConversationState.run(golfer.id);
+    return false;
+  }
+
+  inbound.eventId = state.event_id;
+
+  if (body.trim().toLowerCase() === 'skip') {
+    inbound.intent = 'skip';
+    db.clearConversationState.run(golfer.id);
+    twiml.message('OK. Text GUEST and their names any time, e.g. GUEST Bob Smith');
+    return true;
+  }
+
+  inbound.intent = 'guest_names';
+  const result = nameGuests(golfer, state.event_id, parseGuestNames(body) || []);
+  if (result.success) {
+    db.clearConversationState.run(golfer.id);
+  }
+  twiml.message(result.message);
+  return true;
+}
+
+// Golfer commands that look up an event without changing anything
+const GOLFER_COMMANDS = {
+  status: (golfer, eventId) => generateGolferStatus(golfer, eventId),
+  who: (golfer, eventId) => generateWhoList(eventId),
+  times: (golfer, eventId) => generateTeeTimes(eventId)
+};
+
+/**
+ * Handle messages from golfers
+ * Notes what the message was (inbound.intent) and which event it touched
+ */
+async function handleGolferMessage(group, from, body, twiml, inbound) {
   // Get golfer
-  let golfer = db.getGolferByPhone.get(from);
+  let golfer = db.getGolferByPhone.get(group.id, from);
   
   if (!golfer) {
+    inbound.intent = 'unregistered';
     twiml.message('Your number is not registered. Contact the group manager.');
     return;
   }
   
+  const guestCommand = parseGuestCommand(body);
+  if (guestCommand) {
+    handleGuestCommand(group, golfer, guestCommand, twiml, inbound);
+    return;
+  }
+
+  // STATUS, WHO and TIMES only read the roster, so they work past the deadline too
+  const { text: command, eventRef: commandRef } = extractEventReference(body.trim().toLowerCase());
+  if (Object.hasOwn(GOLFER_COMMANDS, command)) {
+    inbound.intent = command;
+    // Without a day or date, answer for every open event
+    const events = findOpenEvents(group.id, commandRef);
+    if (events.length === 1) inbound.eventId = events[0].id;
+    if (events.length > 0) {
+      events.forEach(event => twiml.message(GOLFER_COMMANDS[command](golfer, event.id)));
+    } else {
+      twiml.message(commandRef ? 'No open event on that day.' : 'No active event.');
+    }
+    return;
+  }
+
+  // Waiting on guest names after "in +2"
+  const state = db.getConversationState.get(golfer.id);
+  if (state?.state === 'guest_names' && handleGuestNamesReply(group, golfer, state, body, twiml, inbound)) {
+    return;
+  }
+
   // Check if there's an active event
-  const event = db.getActiveEvent.get();
+  const openEvents = findOpenEvents(group.id);
   
-  if (!event) {
+  if (openEvents.length === 0) {
+    inbound.intent = 'forwarded';
     await forwardToManager(golfer, body);
     twiml.message('No active event. Your message has been forwarded to the group manager.');
     return;
   }
   
-  // Check if we're past Friday (forward mode)
-  const now = new Date();
-  const dayOfWeek = now.getDay();
-  
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
+  // Golfers holding a waitlist spot offer can answer it even after the deadline
+  const offers = db.getPendingOffersForGolfer.all(golfer.id);
+  const offerEventIds = new Set(offers.map(o => o.event_id));
+  const isTakingReplies = e => offerEventIds.has(e.id) || !isPastDeadline(e.deadline);
+
+  // Past every open event's response deadline (forward mode)
+  if (!openEvents.some(isTakingReplies)) {
+    inbound.intent = 'forwarded';
     await forwardToManager(golfer, body);
-    twiml.message('Response window closed. Your message has been forwarded to the group manager.');
+    twiml.message(RESPONSE_WINDOW_CLOSED);
     return;
   }
+
+  // Answering "Did you mean IN with 1 guest? Reply Y"; anything but a yes or
+  // no is read as a fresh reply
+  if (state?.state === 'confirm_response') {
+    const confirmed = parseConfirmation(body);
+    if (confirmed !== null) {
+      db.clearConversationState.run(golfer.id);
+      const pending = JSON.parse(state.data);
+      const event = db.getEventById.get(state.event_id);
+      inbound.eventId = state.event_id;
+
+      if (!confirmed) {
+        inbound.intent = 'not_confirmed';
+        twiml.message('OK, nothing recorded. Reply IN or OUT.');
+      } else if (event?.status !== 'open' || !isTakingReplies(event)) {
+        inbound.intent = 'forwarded';
+        twiml.message('Replies for that round are closed.');
+      } else {
+        inbound.intent = formatResponseIntent(pending);
+        await recordGolferResponse(golfer, event, pending, twiml);
+      }
+      return;
+    }
+    db.clearConversationState.run(golfer.id);
+  }
   
-  // Try to parse response
-  const response = parseGolferResponse(body);
+  // Try to parse response, with an optional day or date: "IN SAT", "OUT 11/30"
+  const { text, eventRef: ref } = extractEventReference(body);
+  const response = parseGolferReply(group, text);
 
   if (!response) {
-    twiml.message('Reply IN or OUT');
+    inbound.intent = 'unparsed';
+    twiml.message(openEvents.length > 1 ? 'Reply IN or OUT with the day, e.g. IN SAT' : 'Reply IN or OUT (or HELP for more)');
     return;
   }
 
-  // Record the response (with guest count if applicable)
-  const result = await recordResponse(golfer, event.id, response.status, response.guests);
-  twiml.message(result.message);
+  // "Maybe, will know Friday" names when they'll know, not which round
+  const eventRef = response.status === 'maybe' && ref && findOpenEvents(group.id, ref).length === 0 ? null : ref;
+
+  // A plain YES or NO answers the golfer's spot offer, if they have just one
+  const { event, reply } = !eventRef && offers.length === 1
+    ? { event: db.getEventById.get(offers[0].event_id) }
+    : resolveEvent(group, eventRef, response.status.toUpperCase());
+  inbound.intent = formatResponseIntent(response);
+  if (!event) {
+    twiml.message(reply);
+    return;
+  }
+
+  inbound.eventId = event.id;
+
+  if (!isTakingReplies(event)) {
+    inbound.intent = 'forwarded';
+    await forwardToManager(golfer, body);
+    twiml.message(RESPONSE_WINDOW_CLOSED);
+    return;
+  }
+
+  // Not sure what they meant ("in sulp", "in 2"): check before recording it
+  // (too many guests is turned down either way, see recordGolferResponse)
+  if (response.confidence < CONFIDENT_RESPONSE && response.guests <= MAX_GUESTS) {
+    inbound.intent += '?';
+    const { status, guests, timePreference } = response;
+    askGolfer(golfer, 'confirm_response', event.id, { status, guests, timePreference });
+    const day = openEvents.length > 1 ? ` ${formatEventLabel(event.date)}` : '';
+    const withGuests = guests > 0 ? ` with ${guests} guest${guests > 1 ? 's' : ''}` : '';
+    const times = timePreference ? ` (${formatTimePreference(timePreference)})` : '';
+    twiml.message(`Did you mean ${status.toUpperCase()}${day}${withGuests}${times}? Reply Y`);
+    return;
+  }
+
+  await recordGolferResponse(golfer, event, response, twiml);
+}
+
+/**
+ * Read a golfer's IN or OUT along with any tee time preference ("IN early",
+ * "IN after 9"), which is kept as timePreference on an IN
+ * Returns the parsed response, or null
+ */
+function parseGolferReply(group, text) {
+  const { text: reply, preference } = extractTimePreference(text, getFirstTeeTime(group));
+  const response = parseGolferResponse(reply);
+  if (response?.status === 'in' && preference !== undefined) {
+    response.timePreference = preference;
+  }
+  return response;
+}
+
+/**
+ * How a golfer's reply is noted in the inbound history: "in", "in +2", "in early", "out"
+ */
+function formatResponseIntent(response) {
+  let intent = response.guests > 0 ? `${response.status} +${response.guests}` : response.status;
+  if (response.timePreference !== undefined) {
+    intent += ` (${formatTimePreference(response.timePreference)})`;
+  }
+  return intent;
+}
+
+/**
+ * Record a golfer's IN or OUT (with guest count and tee time preference if
+ * applicable) and reply; more than MAX_GUESTS guests isn't recorded
+ */
+async function recordGolferResponse(golfer, event, response, twiml) {
+  if (response.guests > MAX_GUESTS) {
+    twiml.message(`You can bring up to ${MAX_GUESTS} guests. Nothing recorded. Reply IN +${MAX_GUESTS} or fewer.`);
+    return;
+  }
+
+  // A conditional IN ("IN if 8:08") that no tee time meets isn't recorded
+  const { timePreference } = response;
+  const problem = timePreference !== undefined && checkTimePreference(event, timePreference);
+  if (problem) {
+    twiml.message(`${problem} Nothing recorded. Reply IN with a time that works, or OUT.`);
+    return;
+  }
+
+  // "IN early" from a golfer who's already in only sets the preference; it keeps their guests
+  let guests = response.guests;
+  if (timePreference !== undefined && guests === 0 && db.getResponseByGolferAndEvent.get(event.id, golfer.id)?.status === 'in') {
+    guests = db.getGuestsByHost.all(event.id, golfer.id).length;
+  }
+
+  const result = await recordResponse(golfer, event.id, response.status, guests);
+  let message = result.message;
+  if (result.success && timePreference !== undefined) {
+    message = `${message.replace(/\.$/, '')}. ${setTimePreference(golfer, event.id, timePreference).message}`;
+  }
+
+  if (!(result.guests > 0)) {
+    twiml.message(message);
+    return;
+  }
+
+  // New guests start as "Jay's Guest"; the next text can name them
+  askGolfer(golfer, 'guest_names', event.id);
+  const them = result.guests > 1 ? 'their names' : 'their name';
+  twiml.message(`${message.replace(/\.$/, '')}. Reply with ${them}, e.g. ${result.guests > 1 ? 'Bob Smith, Tom' : 'Bob Smith'} (or SKIP)`);
 }
 
 /**
  * SMS Consent page for Twilio verification
  */
-app.get('/consent', (req, res) => {
+app.get(['/consent', '/consent/:slug'], (req, res) => {
+  const group = req.params.slug ? db.getGroupBySlug.get(req.params.slug) : getGroup(DEFAULT_GROUP_ID);
+  if (!group) {
+    return res.status(404).send('Group not found');
+  }
+
+  const groupName = escapeHtml(group.name);
+  const number = formatPhoneDisplay(group.twilio_number || process.env.TWILIO_PHONE_NUMBER || '');
+  const contact = escapeHtml(group.contact_name || 'the group manager');
+
   res.send(`
     <!DOCTYPE html>
     <html>
       <head>
-        <title>SMS Consent - Wigwam Degenerates Sunday Golf Group</title>
+        <title>SMS Consent - ${groupName}</title>
         <meta name="viewport" content="width=device-width, initial-scale=1">
       </head>
       <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 40px auto; padding: 20px; line-height: 1.6;">
         <h1>SMS Consent</h1>
-        <h2>Wigwam Degenerates Sunday Golf Group</h2>
+        <h2>${groupName}</h2>
         
         <h3>How to Opt-In</h3>
-        <p>To receive weekly tee time announcements, text <strong>START</strong> to <strong>(833) 605-9430</strong>.</p>
+        <p>To receive weekly tee time announcements, text <strong>START</strong> to <strong>${number}</strong>.</p>
         
         <h3>What You'll Receive</h3>
         <ul>
@@ -336,7 +902,7 @@ app.get('/consent', (req, res) => {
         <p>Reply <strong>STOP</strong> at any time to unsubscribe from all messages.</p>
         
         <h3>Help</h3>
-        <p>Reply <strong>HELP</strong> for assistance or contact Jay McNallie.</p>
+        <p>Reply <strong>HELP</strong> for assistance or contact ${contact}.</p>
         
         <h3>Privacy</h3>
         <p>Your phone number will only be used for golf group coordination and will not be shared with third parties.</p>
@@ -345,6 +911,18 @@ app.get('/consent', (req, res) => {
   `);
 });
 
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatPhoneDisplay(phone) {
+  const digits = phone.replace(/\D/g, '');
+  if (digits.length === 11 && digits[0] === '1') {
+    return `(${digits.slice(1, 4)}) ${digits.slice(4, 7)}-${digits.slice(7)}`;
+  }
+  return escapeHtml(phone);
+}
+
 /**
  * Health check endpoint
  */
@@ -352,15 +930,10 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Ensure data directory exists
-const fs = require('fs');
-const dataDir = path.join(__dirname, '..', 'data');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
-
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Tee Time Manager running on port ${PORT}`);
   console.log(`Webhook URL: https://tee-time-manager-production.up.railway.app/sms`);
+  startScheduler();
+  startSendQueue();
 });
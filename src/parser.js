@@ -1,131 +1,681 @@
+const { DEFAULT_TIMEZONE, getLocalDate, zonedTimeToUtc } = require('./time');
+
+// Earliest tee time a course has; a time without AM/PM that would fall before
+// it is read as PM ("115" is 1:15 PM). A group's first_tee_time overrides this.
+const DEFAULT_FIRST_TEE_TIME = process.env.FIRST_TEE_TIME || '06:00';
+
+// A tee time in an announcement: "8:08", "808", "8:08a", "8:08 am", "8am", "13:15"
+const PERIOD = '(?:\\s*[ap]\\.?m\\.?|[ap])';
+const TEE_TIME_PATTERN = new RegExp(
+  `(?<=^|[\\s,\\/;])(?:\\d{1,2}:\\d{2}${PERIOD}?|\\d{3,4}${PERIOD}?|\\d{1,2}${PERIOD})(?=$|[\\s,\\/;.])`,
+  'gi'
+);
+
 /**
- * Parses manager's tee time announcement
- * Expected format:
+ * Parses manager's tee time announcement, on one line or several:
+ *   Golf 11/30 Red 8:08, 8:16, 8:24
+ *   Golf tomorrow Red 808 816
+ * or
  *   Golf 11-30-2025
  *   Red
  *   808/816/824/832
+ *   Max 12              (optional - defaults to 4 per tee time)
+ *   Deadline Fri 6pm    (optional - defaults to the group's usual deadline)
  *   In or out
+ * The date is M-D-YYYY, M/D (the next one), a day name (the next one),
+ * today or tomorrow, in the group's timezone. Times can be split by commas,
+ * spaces or slashes (see parseTeeTime).
+ * deadline is a wall-clock time { date, hours, minutes } in the group's timezone
+ * Returns null if the text doesn't start with "Golf"; otherwise
+ * { date, course, times, maxPlayers, deadline, problem, invalidTimes }, where
+ * problem names the first part that couldn't be read ('date', 'past_date',
+ * 'date_mismatch' for a day name the date doesn't fall on, 'course', 'times'
+ * or 'deadline')
  */
-function parseManagerAnnouncement(text) {
-  const lines = text.trim().split('\n').map(l => l.trim()).filter(l => l);
-  
-  if (lines.length < 3) {
+function parseManagerAnnouncement(text, timeZone = DEFAULT_TIMEZONE, firstTeeTime = DEFAULT_FIRST_TEE_TIME) {
+  const match = text.trim().match(/^golf\b[\s:,-]*([\s\S]*)$/i);
+  if (!match) {
     return null;
   }
-  
-  // Line 1: "Golf MM-DD-YYYY" or "Golf M-D-YYYY"
-  const dateMatch = lines[0].match(/^golf\s+(\d{1,2}-\d{1,2}-\d{4})/i);
-  if (!dateMatch) {
-    return null;
+
+  // Options, on their own line or at the end of the message: "Max 12", "Deadline Fri 6pm", "In or out"
+  let rest = match[1];
+  let maxPlayers = null;
+  let deadlineText = null;
+
+  const maxMatch = rest.match(/(?:^|\s)max(?:\s+players)?\s*:?\s*(\d+)\b/i);
+  if (maxMatch) {
+    maxPlayers = parseInt(maxMatch[1], 10) || null;
+    rest = rest.replace(maxMatch[0], ' ');
   }
-  
-  const dateParts = dateMatch[1].split('-');
-  const date = `${dateParts[2]}-${dateParts[0].padStart(2, '0')}-${dateParts[1].padStart(2, '0')}`; // YYYY-MM-DD
-  
-  // Line 2: Course name
-  const course = lines[1];
-  
-  // Line 3: Times like "808/816/824/832"
-  const timesRaw = lines[2].split('/').map(t => t.trim());
-  const times = timesRaw.map(formatTime).filter(t => t);
-  
-  if (times.length === 0) {
-    return null;
+
+  const deadlineMatch = rest.match(/(?:^|\s)(?:deadline|reply by|respond by)\s*:?\s*(.+)$/im);
+  if (deadlineMatch) {
+    deadlineText = deadlineMatch[1].trim();
+    rest = rest.replace(deadlineMatch[0], ' ');
+  }
+
+  rest = rest.replace(/(?:^|\s)in or out[.!?]*\s*$/i, ' ').trim();
+
+  const { date, rest: afterDate, dayMismatch } = parseAnnouncementDate(rest, getLocalDate(timeZone));
+  const result = { date, course: null, times: [], maxPlayers, deadline: null, problem: null, invalidTimes: [] };
+  if (!date) {
+    result.problem = 'date';
+    return result;
   }
-  
-  return { date, course, times };
+  if (date === 'past') {
+    result.date = null;
+    result.problem = 'past_date';
+    return result;
+  }
+  if (dayMismatch) {
+    result.problem = 'date_mismatch';
+    return result;
+  }
+
+  // The course is everything before the first tee time
+  const timeMatches = [...afterDate.matchAll(TEE_TIME_PATTERN)];
+  const courseText = timeMatches.length > 0 ? afterDate.slice(0, timeMatches[0].index) : afterDate;
+  result.course = courseText.replace(/\s+/g, ' ').replace(/^[\s,:;-]+|[\s,:;-]+$/g, '') || null;
+  const { times, invalid } = parseTeeTimes(timeMatches.map(m => m[0]), firstTeeTime);
+  result.times = times;
+  result.invalidTimes = invalid;
+  result.deadline = deadlineText ? parseDeadline(deadlineText, date) : null;
+
+  if (!result.course) {
+    result.problem = 'course';
+  } else if (times.length === 0 || invalid.length > 0) {
+    result.problem = 'times';
+  } else if (deadlineText && !result.deadline) {
+    result.problem = 'deadline';
+  }
+  return result;
 }
 
 /**
- * Convert "808" or "1015" to "8:08 AM" or "10:15 AM"
+ * Read the date at the start of an announcement (after "Golf")
+ * Returns: { date, rest, dayMismatch } - date is 'YYYY-MM-DD', 'past' for a
+ * full date that has gone by, or null if there's no date; dayMismatch is set
+ * when a day name comes with a date that isn't on that day ("Sun 11/30" in 2026)
  */
-function formatTime(raw) {
-  // Remove any colons first
-  const cleaned = raw.replace(':', '');
-  
-  if (!/^\d{3,4}$/.test(cleaned)) {
+function parseAnnouncementDate(text, today) {
+  let rest = text;
+  let date = null;
+  let dayOfWeek;
+  const [year, month, day] = today.split('-').map(Number);
+  const toDate = d => d.toISOString().slice(0, 10);
+
+  const relativeMatch = rest.match(/^(today|tomorrow)\b[\s,]*/i);
+  if (relativeMatch) {
+    const offset = relativeMatch[1].toLowerCase() === 'tomorrow' ? 1 : 0;
+    return { date: toDate(new Date(Date.UTC(year, month - 1, day + offset))), rest: rest.slice(relativeMatch[0].length) };
+  }
+
+  // A day name: the next one after today (a date alongside it must fall on it)
+  const dayMatch = rest.match(/^([a-z]+)\.?(?=\s|,|$)[\s,]*/i);
+  if (dayMatch && Object.hasOwn(DAY_ALIASES, dayMatch[1].toLowerCase())) {
+    dayOfWeek = DAY_ALIASES[dayMatch[1].toLowerCase()];
+    const todayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    date = toDate(new Date(Date.UTC(year, month - 1, day + ((dayOfWeek - todayOfWeek + 6) % 7) + 1)));
+    rest = rest.slice(dayMatch[0].length);
+  }
+
+  // "11/30", "11-30-2025", "11/30/25"; without a year, the next 11/30
+  const dateMatch = rest.match(/^(\d{1,2})[\/-](\d{1,2})(?:[\/-](\d{4}|\d{2}))?(?=\s|,|$)[\s,]*/);
+  if (dateMatch) {
+    const m = parseInt(dateMatch[1], 10);
+    const d = parseInt(dateMatch[2], 10);
+    let y = dateMatch[3] ? parseInt(dateMatch[3], 10) : year;
+    if (y < 100) y += 2000;
+
+    const parsed = new Date(Date.UTC(y, m - 1, d));
+    if (parsed.getUTCMonth() !== m - 1 || parsed.getUTCDate() !== d) {
+      return { date: null, rest };
+    }
+    date = toDate(parsed);
+    if (date < today) {
+      if (dateMatch[3]) return { date: 'past', rest };
+      date = toDate(new Date(Date.UTC(y + 1, m - 1, d)));
+    }
+    rest = rest.slice(dateMatch[0].length);
+
+    if (dayOfWeek !== undefined && new Date(`${date}T00:00:00Z`).getUTCDay() !== dayOfWeek) {
+      return { date, rest, dayMismatch: true };
+    }
+  }
+
+  return { date, rest };
+}
+
+/**
+ * Parse a deadline like "Fri 6pm", "11/28 6:30pm" or "Fri 18:00" for an event date
+ * A day name means the last such day on or before the event; no time means 6 PM
+ * Returns: { date: 'YYYY-MM-DD', hours, minutes } or null
+ */
+function parseDeadline(text, eventDate) {
+  const { text: timeText, eventRef } = extractEventReference(text);
+  if (!eventRef) {
     return null;
   }
-  
-  let hours, minutes;
-  if (cleaned.length === 3) {
-    hours = parseInt(cleaned[0], 10);
-    minutes = cleaned.slice(1);
+
+  // Work on calendar dates in UTC so the server timezone can't shift them
+  const [year, month, day] = eventDate.split('-').map(Number);
+  const event = new Date(Date.UTC(year, month - 1, day));
+  let deadline;
+  if (eventRef.dayOfWeek !== undefined) {
+    const daysBefore = (event.getUTCDay() - eventRef.dayOfWeek + 7) % 7;
+    deadline = new Date(Date.UTC(year, month - 1, day - daysBefore));
   } else {
-    hours = parseInt(cleaned.slice(0, 2), 10);
-    minutes = cleaned.slice(2);
+    deadline = new Date(Date.UTC(year, eventRef.month - 1, eventRef.day));
+    if (deadline > event) {
+      deadline = new Date(Date.UTC(year - 1, eventRef.month - 1, eventRef.day));
+    }
+  }
+
+  let hours = 18;
+  let minutes = 0;
+  if (timeText) {
+    const timeMatch = timeText.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!timeMatch) {
+      return null;
+    }
+    hours = parseInt(timeMatch[1], 10);
+    minutes = parseInt(timeMatch[2] || '0', 10);
+    const period = (timeMatch[3] || '').toLowerCase();
+    if (period === 'pm' && hours < 12) hours += 12;
+    if (period === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
   }
-  
+
+  return { date: deadline.toISOString().slice(0, 10), hours, minutes };
+}
+
+/**
+ * Read a tee time as 24-hour "HH:MM": "808", "8:08a", "1:15pm", "13:15", "0815"
+ * Without AM/PM, a time before the course's first tee time is read as PM
+ * ("115" is 13:15), and 12:xx is noon. A leading zero or an hour past 12
+ * means it's already 24-hour.
+ * Returns null if it isn't a real time (e.g. "875")
+ */
+function parseTeeTime(raw, firstTeeTime = DEFAULT_FIRST_TEE_TIME) {
+  const match = String(raw).trim().toLowerCase().match(/^(\d{1,2}):?(\d{2})?\s*(?:([ap])\.?(?:m\.?)?)?$/);
+  if (!match || (!match[2] && !match[3])) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  const period = match[3];
+  if (minutes > 59 || hours > 23) {
+    return null;
+  }
+
+  if (period) {
+    if (hours < 1 || hours > 12) return null;
+    if (period === 'p' && hours < 12) hours += 12;
+    if (period === 'a' && hours === 12) hours = 0;
+  } else if (hours >= 1 && hours <= 11 && !match[1].startsWith('0')) {
+    const [firstHours, firstMinutes] = firstTeeTime.split(':').map(Number);
+    if (hours * 60 + minutes < firstHours * 60 + firstMinutes) hours += 12;
+  }
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Read a list of tee times (see parseTeeTime)
+ * Returns: { times, invalid } - times sorted with duplicates dropped, and the
+ * entries that weren't real times
+ */
+function parseTeeTimes(list, firstTeeTime = DEFAULT_FIRST_TEE_TIME) {
+  const times = new Set();
+  const invalid = [];
+  list.forEach(raw => {
+    const time = parseTeeTime(raw, firstTeeTime);
+    if (time) times.add(time);
+    else invalid.push(String(raw).trim());
+  });
+  return { times: [...times].sort(), invalid };
+}
+
+/**
+ * Format a stored "HH:MM" tee time for a text: "13:15" -> "1:15 PM"
+ */
+function formatTeeTime(time) {
+  const match = String(time).match(/^(\d{2}):(\d{2})$/);
+  if (!match) {
+    return time;
+  }
+
+  const hours = parseInt(match[1], 10);
   const period = hours >= 12 ? 'PM' : 'AM';
-  const displayHours = hours > 12 ? hours - 12 : hours || 12;
-  
-  return `${displayHours}:${minutes} ${period}`;
+  return `${hours % 12 || 12}:${match[2]} ${period}`;
 }
 
+// A time in a golfer's tee time preference: "9", "9:30", "930", "8:08a", "1pm"
+const PREFERENCE_TIME = '(\\d{1,2}(?::\\d{2})?(?:\\s*[ap]\\.?m\\.?|[ap])?|\\d{3,4})';
+
+// How golfers say which tee times they can make, checked in order. Each
+// pattern yields a preference; "any time" clears one.
+const TIME_PREFERENCE_PATTERNS = [
+  [/\b(?:any\s*time|any tee time|whenever)\b/i, () => null],
+  [new RegExp(`\\b(?:after|from|not before)\\s+${PREFERENCE_TIME}(?![\\w:])`, 'i'), time => `after ${time}`],
+  [new RegExp(`\\b(?:before|by|until|till)\\s+${PREFERENCE_TIME}(?![\\w:])`, 'i'), time => `before ${time}`],
+  [new RegExp(`\\b(?:if|at|only)\\s+${PREFERENCE_TIME}(?:\\s+only)?(?![\\w:])`, 'i'), time => `at ${time}`],
+  [new RegExp(`(?<![\\w:])${PREFERENCE_TIME}\\s+only\\b`, 'i'), time => `at ${time}`],
+  [/\b(?:early|earlier|earliest|first)(?:\s+(?:tee\s+)?(?:times?|group|one))?(?:\s+only)?\b/i, () => 'early'],
+  [/\b(?:late|later|latest|last)(?:\s+(?:tee\s+)?(?:times?|group|one))?(?:\s+only)?\b/i, () => 'late']
+];
+
 /**
- * Parse golfer response: "in", "out", "I'm in", "yes", "no", etc.
- * Also handles guest responses like "in +1", "in plus guest", "in + 2"
- * Returns: { status: 'in'|'out', guests: number } or null
+ * Split a tee time preference off a golfer's reply: "IN early", "IN after 9",
+ * "IN if 8:08", "in before 9:30 +1", "IN any time"
+ * Times are read like tee times (see parseTeeTime); a bare hour is on the hour.
+ * Returns: { text, preference } where preference is 'early', 'late',
+ * 'before HH:MM', 'after HH:MM', 'at HH:MM', null for "any time", or
+ * undefined if the reply doesn't mention one
  */
-function parseGolferResponse(text) {
-  const cleaned = text.toLowerCase().trim();
-
-  // Check for "in" responses with possible guests
-  // Patterns: "in +1", "in plus 1", "in + guest", "in plus guest", "in +2", "in plus 2 guests"
-  const inWithGuestMatch = cleaned.match(
-    /^(in|i'm in|im in|yes|y|count me in|i am in)\s*[\+plus]*\s*(\d+|a|one|two|three)?\s*(guest|guests)?$/i
-  );
-
-  if (inWithGuestMatch) {
-    let guests = 0;
-    const guestPart = inWithGuestMatch[2];
-
-    if (guestPart) {
-      if (guestPart === 'a' || guestPart === 'one' || guestPart === '1') {
-        guests = 1;
-      } else if (guestPart === 'two' || guestPart === '2') {
-        guests = 2;
-      } else if (guestPart === 'three' || guestPart === '3') {
-        guests = 3;
-      } else {
-        guests = parseInt(guestPart, 10) || 1;
+function extractTimePreference(text, firstTeeTime = DEFAULT_FIRST_TEE_TIME) {
+  for (const [pattern, toPreference] of TIME_PREFERENCE_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    let time;
+    if (match[1]) {
+      time = parseTeeTime(/^\d{1,2}$/.test(match[1]) ? `${match[1]}:00` : match[1], firstTeeTime);
+      if (!time) continue;
+    }
+    return { text: text.replace(match[0], ' ').replace(/\s+/g, ' ').trim(), preference: toPreference(time) };
+  }
+  return { text, preference: undefined };
+}
+
+/**
+ * The tee times ("HH:MM", in order) a preference allows: the first or last
+ * half for early/late, or those before, from, or at a time
+ */
+function getPreferredTimes(preference, times) {
+  if (!preference) return times;
+
+  const half = Math.ceil(times.length / 2);
+  if (preference === 'early') return times.slice(0, half);
+  if (preference === 'late') return times.slice(times.length - half);
+
+  const [kind, time] = preference.split(' ');
+  if (kind === 'before') return times.filter(t => t < time);
+  if (kind === 'after') return times.filter(t => t >= time);
+  return times.filter(t => t === time);
+}
+
+/**
+ * Describe a tee time preference: "early times", "after 9:00 AM", "8:08 AM only"
+ */
+function formatTimePreference(preference) {
+  if (!preference) return 'any tee time';
+  if (preference === 'early' || preference === 'late') return `${preference} times`;
+
+  const [kind, time] = preference.split(' ');
+  return kind === 'at' ? `${formatTeeTime(time)} only` : `${kind} ${formatTeeTime(time)}`;
+}
+
+// Golfer reply vocabulary. Apostrophes are dropped before matching ("I'm" -> "im").
+const IN_WORDS = ['in', 'yes', 'y', 'yep', 'yeah', 'yea', 'yup', 'ya', 'sure', 'ok', 'okay', 'absolutely', 'definitely', 'def'];
+const OUT_WORDS = ['out', 'no', 'n', 'nope', 'nah', 'pass'];
+const MAYBE_WORDS = ['maybe', 'possibly', 'perhaps', 'might', 'tentative', 'tentatively', 'unsure', 'idk', 'lmk', 'tbd'];
+
+// Phrases that mean MAYBE, checked before negations ("not sure", "won't know till Fri")
+const MAYBE_PHRASES = [
+  ['not', 'sure'], ['dont', 'know'], ['wont', 'know'], ['will', 'know'], ['ill', 'know'],
+  ['let', 'you', 'know'], ['let', 'u', 'know']
+];
+
+// Flip the IN that follows: "not in", "can't make it", "won't be there"
+const NEGATIONS = ['not', 'cant', 'cannot', 'wont', 'dont', 'unable', 'never'];
+
+// Phrases that mean IN unless negated
+const IN_PHRASES = [['make', 'it'], ['be', 'there'], ['playing'], ['going']];
+
+// Words that don't change the meaning of a reply
+const FILLER_WORDS = [
+  'i', 'im', 'am', 'ill', 'will', 'me', 'count', 'please', 'pls', 'plz', 'this', 'week', 'time', 'for',
+  'the', 'golf', 'round', 'thanks', 'thank', 'you', 'thx', 'ty', 'can', 'be', 'and', 'but', 'just', 'sorry', 'all', 'set',
+  'yet', 'till', 'til', 'until'
+];
+
+// Common slips, after repeated letters are squeezed ("yesss" -> "yes")
+const MISSPELLINGS = { inn: 'in', iin: 'in', ni: 'in', yse: 'yes', ye: 'yes', yas: 'yes', ot: 'out', oot: 'out', otu: 'out', uot: 'out' };
+
+const EMOJI = {
+  in: ['👍', '👌', '✅', '🙋', '🏌', '⛳', '💪', '🤙'],
+  out: ['👎', '❌', '🚫', '🙅']
+};
+
+// Words before a guest count ("plus 2", "w/ 1") and after it ("2 guests")
+const GUEST_LEADS = ['+', 'plus', 'with', 'w', 'bringing', 'bring'];
+const GUEST_NOUNS = ['guest', 'guests', 'friend', 'friends', 'buddy', 'buddies', 'other', 'others', 'more'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4 };
+
+// Replies scored at least this confident are recorded as-is; below it, the golfer is asked
+const CONFIDENT_RESPONSE = 0.8;
+
+// Replies scored below this aren't treated as an RSVP at all
+const MIN_CONFIDENCE = 0.45;
+
+// Most guests one golfer can bring; a reply with more ("in with 25") isn't recorded
+const MAX_GUESTS = 3;
+
+/**
+ * Split a reply into lowercase words, with "+" and emoji as their own tokens
+ */
+function tokenizeReply(text) {
+  let cleaned = text.toLowerCase().replace(/['‘’]/g, '').replace(/\bw\//g, 'with ');
+  for (const [status, emoji] of Object.entries(EMOJI)) {
+    emoji.forEach(e => { cleaned = cleaned.split(e).join(` :${status}: `); });
+  }
+
+  return cleaned
+    .replace(/\+/g, ' + ')
+    .replace(/[^a-z0-9+:\s]/g, ' ')
+    .split(/\s+/)
+    .filter(t => t)
+    .map(t => t.replace(/([a-z])\1{2,}/g, '$1'));
+}
+
+/**
+ * Edit distance with adjacent swaps counted as one edit
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
       }
-    } else if (inWithGuestMatch[3]) {
-      // Just "in plus guest" without a number
-      guests = 1;
     }
+  }
+  return d[a.length][b.length];
+}
 
-    return { status: 'in', guests };
+/**
+ * Read one token: its meaning and how sure we are of it
+ * Returns: { word, kind, certainty } where kind is 'in', 'out', 'maybe', 'negation',
+ * 'number', 'lead', 'noun', 'filler' or null for an unknown word
+ */
+function classifyToken(token) {
+  if (token === ':in:' || token === ':out:') {
+    return { word: token, kind: token.slice(1, -1), certainty: 0.9 };
+  }
+  if (/^\d+$/.test(token)) {
+    return { word: token, kind: 'number', value: parseInt(token, 10), certainty: 1 };
   }
 
-  // Simple "in" responses (no guests)
-  if (/^(in|i'm in|im in|yes|y|count me in|i am in)$/i.test(cleaned)) {
-    return { status: 'in', guests: 0 };
+  let word = token;
+  let certainty = 1;
+  if (Object.hasOwn(MISSPELLINGS, word)) {
+    word = MISSPELLINGS[word];
+    certainty = 0.7;
   }
 
-  // Check for "out" responses
-  if (/^(out|i'm out|im out|no|n|count me out|i am out|can't make it|cant make it)$/i.test(cleaned)) {
-    return { status: 'out', guests: 0 };
+  const kinds = [
+    [IN_WORDS, 'in'], [OUT_WORDS, 'out'], [MAYBE_WORDS, 'maybe'], [NEGATIONS, 'negation'], [GUEST_LEADS, 'lead'],
+    [GUEST_NOUNS, 'noun'], [Object.keys(NUMBER_WORDS), 'number'], [FILLER_WORDS, 'filler']
+  ];
+  const find = w => kinds.find(([words]) => words.includes(w));
+
+  let match = find(word);
+  if (!match && word.length >= 3) {
+    // One slip in a longer word: "yess", "otu", "guset"
+    const near = [...IN_WORDS, ...OUT_WORDS, ...MAYBE_WORDS, ...GUEST_LEADS, ...GUEST_NOUNS]
+      .find(w => w.length >= 3 && editDistance(word, w) === 1);
+    if (near) {
+      word = near;
+      certainty = 0.7;
+      match = find(word);
+    }
+  }
+
+  if (!match) {
+    return { word, kind: null, certainty: 1 };
   }
+  const kind = match[1];
+  return { word, kind, value: kind === 'number' ? NUMBER_WORDS[word] : undefined, certainty };
+}
+
+/**
+ * Parse golfer response: "in", "out", "I'm in +1", "in w/ 2", "👍", "yes please",
+ * "can't make it", "Out this week", "maybe, will know Friday"
+ * Handles punctuation, emoji, common misspellings and guest phrasing. The
+ * confidence (0-1) drops for misspelled, unknown or ambiguous words; below
+ * CONFIDENT_RESPONSE the caller should check with the golfer first. Any
+ * doubt ("maybe in", "might be out") makes it a MAYBE, which has no guests.
+ * More than MAX_GUESTS guests is never confident.
+ * Returns: { status: 'in'|'out'|'maybe', guests: number, confidence } or null
+ */
+function parseGolferResponse(text) {
+  const tokens = tokenizeReply(text).map(classifyToken);
+  let status = null;
+  let guests = 0;
+  let confidence = 1;
+  let negated = false;
+
+  const setStatus = (value, certainty) => {
+    if (value === 'maybe' || status === 'maybe') {
+      status = 'maybe';
+    } else if (status && status !== value) {
+      status = 'conflict';
+    } else {
+      status = value;
+    }
+    confidence *= certainty;
+  };
 
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+    const matchesPhrase = p => p.every((w, k) => tokens[i + k]?.word === w);
+    const phrase = IN_PHRASES.find(matchesPhrase);
+    const maybePhrase = MAYBE_PHRASES.find(matchesPhrase);
+
+    if (maybePhrase) {
+      setStatus('maybe', 1);
+      i += maybePhrase.length - 1;
+    } else if (token.kind === 'negation') {
+      negated = true;
+      confidence *= token.certainty;
+      // "can't" on its own, or "not this week"
+      if (!tokens.slice(i + 1).some(t => t.kind === 'in' || IN_PHRASES.some(p => p[0] === t.word))) {
+        setStatus('out', 0.9);
+      }
+    } else if (phrase) {
+      setStatus(negated ? 'out' : 'in', 0.9);
+      i += phrase.length - 1;
+    } else if (token.kind === 'in') {
+      setStatus(negated ? 'out' : 'in', token.certainty);
+    } else if (token.kind === 'out' && next?.kind === 'noun' && token.word === 'no') {
+      // "in, no guests"
+      guests = 0;
+      i++;
+    } else if (token.kind === 'out') {
+      setStatus('out', token.certainty);
+    } else if (token.kind === 'maybe') {
+      setStatus('maybe', token.certainty);
+    } else if (token.kind === 'lead' && next?.kind === 'number') {
+      // "+2", "plus a guest", "with 2 friends"
+      guests = next.value;
+      confidence *= token.certainty;
+      i += tokens[i + 2]?.kind === 'noun' ? 2 : 1;
+    } else if (token.kind === 'lead' && next?.kind === 'noun') {
+      // "plus guest"
+      guests = 1;
+      confidence *= token.certainty * next.certainty;
+      i++;
+    } else if (token.kind === 'number' && next?.kind === 'noun') {
+      // "2 guests"
+      guests = token.value;
+      confidence *= next.certainty;
+      i++;
+    } else if (token.kind === 'number') {
+      // "in 2" is probably two guests, but worth checking
+      guests = token.value;
+      confidence *= 0.6;
+    } else if (token.kind === 'lead' || token.kind === 'noun') {
+      confidence *= 0.7;
+    } else if (token.kind === null) {
+      confidence *= 0.7;
+    }
+  }
+
+  if (!status || status === 'conflict') {
+    return null;
+  }
+  if (status !== 'in') {
+    guests = 0;
+  }
+  if (guests > MAX_GUESTS) {
+    confidence = Math.min(confidence, MIN_CONFIDENCE);
+  }
+
+  confidence = Math.round(confidence * 100) / 100;
+  return confidence >= MIN_CONFIDENCE ? { status, guests, confidence } : null;
+}
+
+/**
+ * Read a yes/no answer to a question we asked ("Did you mean IN? Reply Y")
+ * Returns true, false, or null if it isn't a plain yes or no
+ */
+function parseConfirmation(text) {
+  const cleaned = text.toLowerCase().replace(/[^a-z\s]/g, '').trim();
+  if (/^(y|yes|yep|yeah|yup|ok|okay|correct|right)$/.test(cleaned)) return true;
+  if (/^(n|no|nope|nah|wrong)$/.test(cleaned)) return false;
   return null;
 }
 
+// Longest guest name kept; anything longer is cut
+const MAX_GUEST_NAME_LENGTH = 40;
+
+/**
+ * Parse guest names from a reply like "Bob Smith, Tom" or "Bob and Tom"
+ * Returns an array of names, or null if there are none
+ */
+function parseGuestNames(text) {
+  const names = text
+    .split(/,|;|&|\n|\band\b/i)
+    .map(name => name.replace(/\s+/g, ' ').trim().slice(0, MAX_GUEST_NAME_LENGTH).trim())
+    .filter(name => name);
+
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Parse a GUEST command: "GUEST Bob", "GUESTS Bob, Tom", "GUEST SAT Bob"
+ * A day or date right after GUEST picks the event
+ * Returns: { names, eventRef }, or null if it isn't a GUEST command
+ */
+function parseGuestCommand(text) {
+  const match = text.trim().match(/^guests?\b\s*(.*)$/is);
+  if (!match) {
+    return null;
+  }
+
+  const [first = '', ...rest] = match[1].split(/\s+/);
+  const { eventRef } = extractEventReference(first);
+  const namesText = eventRef ? rest.join(' ') : match[1];
+
+  return { names: parseGuestNames(namesText) || [], eventRef };
+}
+
 /**
  * Format date for display: "Sunday 11/30"
+ * The day name is taken at noon in the group's timezone, not the server's
  */
-function formatDateForDisplay(dateStr) {
-  const date = new Date(dateStr + 'T12:00:00');
-  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  const dayName = days[date.getDay()];
-  const month = date.getMonth() + 1;
-  const day = date.getDate();
+function formatDateForDisplay(dateStr, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const noon = zonedTimeToUtc(year, month, day, 12, 0, timeZone);
+  const dayName = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long' }).format(noon);
   return `${dayName} ${month}/${day}`;
 }
 
+// Day names golfers use to pick an event: "IN SAT", "OUT SUNDAY"
+const DAY_ALIASES = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+
+/**
+ * Split an event reference off a message: "IN SAT", "OUT 11/30", "STATUS 11-30"
+ * Returns: { text, eventRef } where eventRef is { dayOfWeek } or { month, day } or null
+ */
+function extractEventReference(text) {
+  let remaining = text.trim();
+  let eventRef = null;
+
+  const dateMatch = remaining.match(/(^|\s)(\d{1,2})[\/-](\d{1,2})(?:[\/-]\d{2,4})?(?=\s|$)/);
+  if (dateMatch) {
+    eventRef = { month: parseInt(dateMatch[2], 10), day: parseInt(dateMatch[3], 10) };
+    remaining = remaining.replace(dateMatch[0], ' ');
+  }
+
+  // A day name alongside a date ("SAT 11/29") is redundant; the date wins
+  const words = remaining.split(/\s+/).filter(w => w);
+  const dayIndex = words.findIndex(w => Object.hasOwn(DAY_ALIASES, w.toLowerCase().replace(/\.$/, '')));
+  if (dayIndex !== -1) {
+    const dayOfWeek = DAY_ALIASES[words[dayIndex].toLowerCase().replace(/\.$/, '')];
+    words.splice(dayIndex, 1);
+    eventRef = eventRef || { dayOfWeek };
+  }
+
+  return { text: words.join(' '), eventRef };
+}
+
+/**
+ * Check whether an event date (YYYY-MM-DD) matches an event reference
+ */
+function matchesEventReference(dateStr, eventRef) {
+  const date = new Date(dateStr + 'T12:00:00');
+  if (eventRef.dayOfWeek !== undefined) {
+    return date.getDay() === eventRef.dayOfWeek;
+  }
+  return date.getMonth() + 1 === eventRef.month && date.getDate() === eventRef.day;
+}
+
+/**
+ * Short label golfers can type back to pick an event: "SAT 11/29"
+ */
+function formatEventLabel(dateStr) {
+  const date = new Date(dateStr + 'T12:00:00');
+  const days = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+  return `${days[date.getDay()]} ${date.getMonth() + 1}/${date.getDate()}`;
+}
+
 module.exports = {
   parseManagerAnnouncement,
+  CONFIDENT_RESPONSE,
+  MAX_GUESTS,
   parseGolferResponse,
-  formatTime,
-  formatDateForDisplay
+  parseConfirmation,
+  parseGuestNames,
+  parseGuestCommand,
+  parseDeadline,
+  extractEventReference,
+  matchesEventReference,
+  DEFAULT_FIRST_TEE_TIME,
+  parseTeeTime,
+  parseTeeTimes,
+  formatTeeTime,
+  extractTimePreference,
+  getPreferredTimes,
+  formatTimePreference,
+  formatDateForDisplay,
+  formatEventLabel
 };
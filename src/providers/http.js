@@ -0,0 +1,32 @@
+/**
+ * Generic HTTP provider for other SMS vendors (or a relay in front of one)
+ *
+ * POSTs JSON { to, from, body } to SMS_HTTP_URL, with
+ * "Authorization: Bearer SMS_HTTP_TOKEN" when a token is set.
+ * Any 2xx response counts as sent; an "id" in the JSON reply is kept.
+ * A 4xx other than 429 is treated as permanent (not retried).
+ */
+async function send({ to, body, from }) {
+  const url = process.env.SMS_HTTP_URL;
+  if (!url) {
+    throw new Error('SMS_HTTP_URL must be set to send with the http provider');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.SMS_HTTP_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.SMS_HTTP_TOKEN}`;
+  }
+
+  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify({ to, from, body }) });
+  if (!res.ok) {
+    const error = new Error(`SMS gateway returned ${res.status}`);
+    error.permanent = res.status >= 400 && res.status < 500 && res.status !== 429;
+    throw error;
+  }
+
+  const data = await res.json().catch(() => ({}));
+  return { id: data.id || null };
+}
+
+// Gateways' limits vary; set SMS_RATE_PER_SECOND to match yours
+module.exports = { name: 'http', ratePerSecond: 1, send };
@@ -0,0 +1,15 @@
+/**
+ * Local outbox provider: messages are stored in the outbox table (and
+ * logged) instead of being sent, so the full flow runs offline.
+ * Managers can read them on the dashboard.
+ */
+const db = require('../db');
+
+async function send({ to, body, from }) {
+  const result = db.addOutboxMessage.run(to, from || null, body);
+  console.log(`[OUTBOX] To ${to}: ${body}`);
+  return { id: `outbox-${result.lastInsertRowid}` };
+}
+
+// Nothing leaves the machine, so there's nothing to throttle
+module.exports = { name: 'outbox', ratePerSecond: 0, send };
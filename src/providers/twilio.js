@@ -0,0 +1,40 @@
+/**
+ * Twilio SMS provider
+ *
+ * The client is created on first send, so the app starts without Twilio
+ * credentials (e.g. when another provider is configured). With PUBLIC_URL
+ * set, Twilio reports each text's delivery to /sms/status.
+ */
+const twilio = require('twilio');
+
+// Errors a retry can't fix: the recipient replied STOP (21610), or the
+// number is invalid (21211) or can't receive texts (21614)
+const PERMANENT_ERROR_CODES = [21610, 21211, 21614];
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+      throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be set to send with Twilio');
+    }
+    client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return client;
+}
+
+async function send({ to, body, from }) {
+  const statusCallback = process.env.PUBLIC_URL
+    ? `${process.env.PUBLIC_URL.replace(/\/$/, '')}/sms/status`
+    : undefined;
+  try {
+    const message = await getClient().messages.create({ body, from, to, statusCallback });
+    return { id: message.sid };
+  } catch (error) {
+    error.permanent = PERMANENT_ERROR_CODES.includes(error.code);
+    throw error;
+  }
+}
+
+// A long code number sends about one text per second
+module.exports = { name: 'twilio', ratePerSecond: 1, send };
@@ -0,0 +1,177 @@
+/**
+ * Persistent job scheduler for per-event actions
+ *
+ * Jobs live in the scheduled_jobs table, so they survive restarts. A timer
+ * polls for due jobs; anything that came due while the app was down runs on
+ * the first poll after startup.
+ */
+const db = require('./db');
+const { getTotalConfirmedCount, notifyBackupGolfers, remindNonResponders, expireOffers, expireHolds, remindHolds, closeEventWithSummary } = require('./events');
+const { SYSTEM_ACTOR } = require('./audit');
+const { getGroupTimezone, toSqliteTimestamp, fromSqliteTimestamp, parseDayOffset, getTimeBeforeDate } = require('./time');
+
+const POLL_SECONDS = parseInt(process.env.SCHEDULER_POLL_SECONDS, 10) || 60;
+
+// When backups are notified, relative to the event date in the group's
+// timezone: "<days before>d HH:MM", or "off"
+const BACKUP_SCHEDULE = process.env.SCHEDULE_BACKUPS || '2d 12:00';
+
+// Close the event and text the summary at its response deadline
+const AUTO_CLOSE = process.env.AUTO_CLOSE !== 'false';
+
+// Reminder nudges, in hours before the deadline; a group's reminder_offsets overrides this
+const DEFAULT_REMINDER_OFFSETS = process.env.REMINDER_OFFSETS || '48,24';
+const MAX_REMINDERS = 5;
+
+// Each handler returns a short result note for the dashboard
+const JOB_HANDLERS = {
+  async remind(job) {
+    const result = await remindNonResponders(job.event_id, { jobId: job.id });
+    if (!result.success) return result.message;
+    return `Reminded ${result.reminded} golfers` + (result.skipped ? ` (${result.skipped} reminded recently)` : '');
+  },
+
+  async notify_backups(job) {
+    const event = db.getEventById.get(job.event_id);
+    if (getTotalConfirmedCount(event.id) >= event.max_players) {
+      return 'Skipped: event is full';
+    }
+    const result = await notifyBackupGolfers(event.id);
+    return result.success ? `Notified ${result.notified} backup golfers` : result.message;
+  },
+
+  async expire_offers(job) {
+    const result = await expireOffers(job.event_id);
+    return `Expired ${result.expired} spot offers`;
+  },
+
+  async remind_holds(job) {
+    const result = await remindHolds(job.event_id);
+    return `Reminded ${result.reminded} maybe golfers`;
+  },
+
+  async expire_holds(job) {
+    const result = await expireHolds(job.event_id);
+    return `Released ${result.released} maybe holds`;
+  },
+
+  async close(job) {
+    const result = await closeEventWithSummary(job.event_id, SYSTEM_ACTOR);
+    return result.success ? 'Summary sent and event closed' : result.message;
+  }
+};
+
+/**
+ * Parse a reminder schedule like "48, 24" into hours before the deadline
+ * "" or "off" means no reminders; returns null if invalid
+ */
+function parseReminderOffsets(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (value === '' || value === 'off') return [];
+
+  const offsets = value.split(',').map(h => Number(h.trim()));
+  if (offsets.length > MAX_REMINDERS || offsets.some(h => !(h > 0))) return null;
+  return offsets.sort((a, b) => b - a);
+}
+
+/**
+ * Schedule the jobs for a newly announced event: the group's reminder
+ * campaign before its response deadline, backups, and the close at the deadline
+ * Jobs whose time has already passed are skipped
+ * Returns the scheduled jobs
+ */
+function scheduleEventJobs(event) {
+  const group = db.getGroupById.get(event.group_id);
+  const now = new Date();
+  const runTimes = [];
+
+  if (event.deadline) {
+    const deadline = fromSqliteTimestamp(event.deadline);
+    const offsets = parseReminderOffsets(group.reminder_offsets ?? DEFAULT_REMINDER_OFFSETS) || [];
+    offsets.forEach(hours => {
+      runTimes.push({ type: 'remind', runAt: new Date(deadline.getTime() - hours * 60 * 60 * 1000) });
+    });
+
+    if (AUTO_CLOSE) {
+      runTimes.push({ type: 'close', runAt: deadline });
+    }
+  }
+
+  const backups = parseDayOffset(BACKUP_SCHEDULE);
+  if (backups) {
+    runTimes.push({ type: 'notify_backups', runAt: getTimeBeforeDate(event.date, backups, getGroupTimezone(group)) });
+  }
+
+  const jobs = [];
+  for (const { type, runAt } of runTimes) {
+    if (runAt <= now) continue;
+
+    const result = db.createJob.run(event.group_id, event.id, type, toSqliteTimestamp(runAt));
+    jobs.push(db.getJobById.get(result.lastInsertRowid));
+  }
+
+  console.log(`Scheduled ${jobs.length} jobs for event ${event.id}`);
+  return jobs;
+}
+
+/**
+ * Run one job and record how it went
+ */
+async function runJob(job) {
+  const handler = JOB_HANDLERS[job.type];
+  if (!handler) {
+    db.completeJob.run('failed', `Unknown job type: ${job.type}`, job.id);
+    return;
+  }
+
+  try {
+    const result = await handler(job);
+    db.completeJob.run('done', result || null, job.id);
+    console.log(`Job ${job.id} (${job.type}, event ${job.event_id}): ${result}`);
+  } catch (err) {
+    console.error(`Job ${job.id} error:`, err);
+    db.completeJob.run('failed', err.message, job.id);
+  }
+}
+
+let running = false;
+
+/**
+ * Run every due job once (skips if a previous poll is still running)
+ */
+async function runDueJobs() {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const job of db.getDueJobs.all()) {
+      // An earlier job in this batch (e.g. close) may have cancelled this one
+      if (db.getJobById.get(job.id).status !== 'pending') continue;
+      await runJob(job);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start polling for due jobs
+ */
+function startScheduler() {
+  runDueJobs().catch(err => console.error('Scheduler error:', err));
+  const timer = setInterval(() => {
+    runDueJobs().catch(err => console.error('Scheduler error:', err));
+  }, POLL_SECONDS * 1000);
+
+  console.log(`Scheduler polling every ${POLL_SECONDS}s`);
+  return timer;
+}
+
+module.exports = {
+  JOB_TYPES: Object.keys(JOB_HANDLERS),
+  DEFAULT_REMINDER_OFFSETS,
+  parseReminderOffsets,
+  scheduleEventJobs,
+  runDueJobs,
+  startScheduler
+};
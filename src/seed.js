@@ -5,6 +5,7 @@
  *   1. Set GOLFERS env var as JSON array:
  *      GOLFERS='[{"name":"Jay","phone":"+15551234567"},{"name":"Mike","phone":"+15551234568"}]'
  *   2. Run: node src/seed.js
+ *   3. Optional: set GROUP_ID to seed a group other than the default (1)
  * 
  * On Railway: Add GOLFERS to your environment variables, then run via Railway CLI:
  *   railway run node src/seed.js
@@ -37,7 +38,14 @@ function seed() {
     process.exit(1);
   }
   
-  console.log('Seeding golfers...\n');
+  const groupId = parseInt(process.env.GROUP_ID, 10) || 1;
+  const group = db.getGroupById.get(groupId);
+  if (!group) {
+    console.error(`Error: group ${groupId} does not exist`);
+    process.exit(1);
+  }
+
+  console.log(`Seeding golfers for ${group.name}...\n`);
   
   for (const golfer of golfers) {
     if (!golfer.name || !golfer.phone) {
@@ -46,7 +54,7 @@ function seed() {
     }
     
     try {
-      db.addGolfer.run(golfer.name, golfer.phone);
+      db.addGolfer.run(groupId, golfer.name, golfer.phone);
       console.log(`Added: ${golfer.name} (${golfer.phone})`);
     } catch (error) {
       if (error.message.includes('UNIQUE constraint')) {
@@ -58,7 +66,7 @@ function seed() {
   }
   
   console.log('\nDone. Current golfers:');
-  const all = db.getAllActiveGolfers.all();
+  const all = db.getAllActiveGolfers.all(groupId);
   all.forEach(g => console.log(`  - ${g.name}: ${g.phone}`));
   console.log(`\nTotal: ${all.length} golfers`);
 }
@@ -1,37 +1,248 @@
-const twilio = require('twilio');
+/**
+ * Outbound SMS, sent through the configured provider (see src/providers)
+ *
+ * SMS_PROVIDER picks one: twilio, outbox or http. Without it, Twilio is used
+ * when its credentials are set, otherwise the local outbox.
+ *
+ * Texts aren't sent inline: sendSMS and sendToMany add them to the messages
+ * table, which doubles as a durable send queue and delivery log. A background
+ * worker sends them one at a time at the provider's rate, retries failures
+ * with backoff, and picks up where it left off after a restart. Delivery
+ * reports arrive through recordDeliveryStatus.
+ */
+const db = require('./db');
+const { toSqliteTimestamp } = require('./time');
 
-const client = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+const PROVIDERS = {
+  twilio: () => require('./providers/twilio'),
+  outbox: () => require('./providers/outbox'),
+  http: () => require('./providers/http')
+};
 
 const fromNumber = process.env.TWILIO_PHONE_NUMBER;
 
-async function sendSMS(to, body) {
+// Minutes to wait before each retry of a failed send; after the last, it stays failed
+const RETRY_DELAYS_MINUTES = [1, 5, 30];
+
+// Login codes expire long before a retry would land
+const NO_RETRY_KINDS = ['login'];
+
+// Sent ahead of anything already queued (a manager waiting on a login code
+// shouldn't wait out an announcement blast)
+const PRIORITY_KINDS = ['login'];
+
+// Recorded on texts dropped because the golfer replied STOP after they were queued
+const OPTED_OUT_ERROR = 'Golfer opted out';
+
+// How often the worker checks for retries that have come due
+const QUEUE_POLL_SECONDS = 10;
+
+let provider = null;
+
+function getProviderName() {
+  if (process.env.SMS_PROVIDER) {
+    return process.env.SMS_PROVIDER.toLowerCase();
+  }
+  return process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'outbox';
+}
+
+/**
+ * Texts per second the worker may send: SMS_RATE_PER_SECOND, else the
+ * provider's own limit (0 = no limit)
+ */
+function getSendRate() {
+  const rate = parseFloat(process.env.SMS_RATE_PER_SECOND);
+  return rate >= 0 ? rate : getProvider().ratePerSecond || 0;
+}
+
+function getProvider() {
+  if (!provider) {
+    const name = getProviderName();
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown SMS_PROVIDER "${name}" (use ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    provider = PROVIDERS[name]();
+    console.log(`SMS provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+/**
+ * What happens to a message after a failed attempt: another try after the
+ * next backoff delay, or the final status once the retries are used up
+ * @param {Object} message - The message log row
+ * @param {number} attempts - Attempts made, including the one that failed
+ * Returns: { status, nextAttemptAt }
+ */
+function getRetryState(message, attempts, finalStatus) {
+  const delay = NO_RETRY_KINDS.includes(message.kind) ? undefined : RETRY_DELAYS_MINUTES[attempts - 1];
+  if (delay === undefined) {
+    return { status: finalStatus, nextAttemptAt: null };
+  }
+  return { status: 'retrying', nextAttemptAt: toSqliteTimestamp(new Date(Date.now() + delay * 60 * 1000)) };
+}
+
+/**
+ * Make one send attempt for a claimed message and record the outcome
+ */
+async function attemptSend(message) {
   try {
-    const message = await client.messages.create({
-      body,
-      from: fromNumber,
-      to
-    });
-    console.log(`SMS sent to ${to}: ${message.sid}`);
-    return message;
+    const result = await getProvider().send({ to: message.to_phone, body: message.body, from: message.from_phone });
+    db.markMessageSent.run(result.id || null, message.id);
+    console.log(`SMS sent to ${message.to_phone}: ${result.id}`);
   } catch (error) {
-    console.error(`Failed to send SMS to ${to}:`, error.message);
-    throw error;
+    // Providers flag errors that a retry can't fix (error.permanent)
+    const { status, nextAttemptAt } = error.permanent
+      ? { status: 'failed', nextAttemptAt: null }
+      : getRetryState(message, message.attempts + 1, 'failed');
+    db.markMessageFailed.run(status, error.message, nextAttemptAt, message.id);
+    console.error(`Failed to send SMS to ${message.to_phone}${nextAttemptAt ? ` (retry at ${nextAttemptAt})` : ''}:`, error.message);
   }
 }
 
-async function sendToMany(phoneNumbers, body) {
-  const results = await Promise.allSettled(
-    phoneNumbers.map(phone => sendSMS(phone, body))
-  );
-  
-  const succeeded = results.filter(r => r.status === 'fulfilled').length;
-  const failed = results.filter(r => r.status === 'rejected').length;
-  
-  console.log(`Bulk SMS: ${succeeded} sent, ${failed} failed`);
-  return { succeeded, failed, results };
+let nextSendAt = 0;
+
+/**
+ * Wait until the provider's rate allows another text
+ */
+async function waitForSendSlot() {
+  const rate = getSendRate();
+  if (!(rate > 0)) return;
+
+  const wait = nextSendAt - Date.now();
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+  nextSendAt = Math.max(Date.now(), nextSendAt) + 1000 / rate;
+}
+
+let draining = null;
+let drainRequested = false;
+
+/**
+ * Send every queued message (and retry) that is due, in priority order
+ * Only one drain runs at a time; asking again while it runs makes it look
+ * for new messages before it stops
+ * Returns a promise that settles once the queue is empty
+ */
+function drainQueue() {
+  drainRequested = true;
+  if (!draining) {
+    draining = (async () => {
+      while (drainRequested) {
+        drainRequested = false;
+        let message;
+        while ((message = db.getNextQueuedMessage.get())) {
+          if (db.getOptedOutRecipient.get(message.event_id, message.to_phone)) {
+            if (db.claimMessage.run(message.id).changes > 0) {
+              db.updateMessageStatus.run('failed', OPTED_OUT_ERROR, null, message.id);
+            }
+            continue;
+          }
+          await waitForSendSlot();
+          if (db.claimMessage.run(message.id).changes === 0) continue;
+          await attemptSend(db.getMessageById.get(message.id));
+        }
+      }
+    })()
+      .catch(err => console.error('Send queue error:', err))
+      .finally(() => { draining = null; });
+  }
+  return draining;
+}
+
+/**
+ * Add a text to the send queue
+ */
+function enqueueMessage(to, body, from, eventId, kind) {
+  const priority = PRIORITY_KINDS.includes(kind) ? 1 : 0;
+  return db.createMessage.run(eventId, kind, to, from || fromNumber || null, body, getProviderName(), priority).lastInsertRowid;
+}
+
+/**
+ * Queue a text; it goes out in the background
+ * @param {Object} options - { eventId, kind } to file the message under (e.g. 'announcement')
+ * Returns: { messageId } - the message log ID
+ */
+async function sendSMS(to, body, from = fromNumber, { eventId = null, kind = null } = {}) {
+  const messageId = enqueueMessage(to, body, from, eventId, kind);
+  drainQueue();
+  return { messageId };
+}
+
+/**
+ * Queue the same text to several numbers (all or none are queued)
+ * Returns: { queued, messageIds }
+ */
+async function sendToMany(phoneNumbers, body, from = fromNumber, { eventId = null, kind = null } = {}) {
+  const messageIds = db.db.transaction(() =>
+    phoneNumbers.map(phone => enqueueMessage(phone, body, from, eventId, kind))
+  )();
+  drainQueue();
+
+  console.log(`Bulk SMS: ${messageIds.length} queued`);
+  return { queued: messageIds.length, messageIds };
+}
+
+/**
+ * Queue a message that didn't get through to be sent again right away
+ * Returns false if it's already sent or queued
+ */
+function resendMessage(messageId) {
+  if (db.requeueMessage.run(messageId).changes === 0) {
+    return false;
+  }
+  drainQueue();
+  return true;
+}
+
+/**
+ * Start the send queue: requeue sends a restart cut off, send whatever is
+ * waiting, and poll for retries as they come due
+ */
+function startSendQueue() {
+  const interrupted = db.requeueInterruptedMessages.run().changes;
+  if (interrupted > 0) {
+    console.log(`Requeued ${interrupted} texts interrupted by a restart`);
+  }
+
+  drainQueue();
+  const timer = setInterval(drainQueue, QUEUE_POLL_SECONDS * 1000);
+
+  const rate = getSendRate();
+  console.log(`Send queue running (${rate > 0 ? `${rate} texts/second` : 'no rate limit'})`);
+  return timer;
+}
+
+/**
+ * Record a provider's delivery report for a sent message
+ * Undelivered and failed texts are retried like failed sends. Reports for
+ * statuses before 'sent' (or arriving after the final one) are ignored.
+ * Returns the message, or null if the ID is unknown
+ */
+function recordDeliveryStatus(providerId, status, error = null) {
+  const message = providerId ? db.getMessageByProviderId.get(providerId) : null;
+  if (!message) {
+    return null;
+  }
+
+  if (message.status === 'sent' && status === 'delivered') {
+    db.updateMessageStatus.run('delivered', null, null, message.id);
+  } else if (message.status === 'sent' && ['undelivered', 'failed'].includes(status)) {
+    const retry = getRetryState(message, message.attempts, status);
+    db.updateMessageStatus.run(retry.status, error || status, retry.nextAttemptAt, message.id);
+    console.warn(`SMS to ${message.to_phone} ${status}${retry.nextAttemptAt ? ` (retry at ${retry.nextAttemptAt})` : ''}`);
+  }
+
+  return db.getMessageById.get(message.id);
 }
 
-module.exports = { sendSMS, sendToMany };
+module.exports = {
+  getProviderName,
+  sendSMS,
+  sendToMany,
+  resendMessage,
+  drainQueue,
+  startSendQueue,
+  recordDeliveryStatus
+};
@@ -0,0 +1,122 @@
+/**
+ * Timezone helpers (IANA zones via Intl, no extra dependencies)
+ *
+ * Event dates are calendar dates ("YYYY-MM-DD"). Deadlines and job times are
+ * stored as UTC SQLite timestamps ("YYYY-MM-DD HH:MM:SS") and shown in the
+ * group's timezone.
+ */
+
+// Timezone for groups that haven't picked one
+const DEFAULT_TIMEZONE = process.env.GROUP_TIMEZONE || 'America/New_York';
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function getGroupTimezone(group) {
+  return (group && group.timezone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(p => {
+    parts[p.type] = parseInt(p.value, 10);
+  });
+  return { year: parts.year, month: parts.month, day: parts.day, hours: parts.hour, minutes: parts.minute };
+}
+
+/**
+ * Today's date ("YYYY-MM-DD") in a timezone
+ */
+function getLocalDate(timeZone, date = new Date()) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * The instant a wall-clock time occurs in a timezone
+ * Out-of-range days roll over like Date.UTC (day 0 = last day of previous month)
+ */
+function zonedTimeToUtc(year, month, day, hours, minutes, timeZone) {
+  const target = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Treat the wall time as UTC, then correct by the zone's offset (twice, for DST edges)
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(new Date(guess), timeZone);
+    guess += target - Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes);
+  }
+  return new Date(guess);
+}
+
+/**
+ * Convert a Date to SQLite's UTC "YYYY-MM-DD HH:MM:SS" format
+ */
+function toSqliteTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Parse a UTC SQLite timestamp (CURRENT_TIMESTAMP has no zone marker)
+ */
+function fromSqliteTimestamp(timestamp) {
+  return new Date(timestamp.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * Format a UTC SQLite timestamp for a text: "Fri 11/28 6:00 PM"
+ */
+function formatTimestampForDisplay(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const date = fromSqliteTimestamp(timestamp);
+  const weekday = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' }).format(date);
+  const p = getZonedParts(date, timeZone);
+  const period = p.hours >= 12 ? 'PM' : 'AM';
+  const displayHours = p.hours % 12 || 12;
+  return `${weekday} ${p.month}/${p.day} ${displayHours}:${String(p.minutes).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Parse a "<days before>d HH:MM" offset like "2d 18:00" (null for "off" or invalid)
+ */
+function parseDayOffset(entry) {
+  const match = String(entry || '').trim().match(/^(\d+)d\s+(\d{1,2}):(\d{2})$/i);
+  if (!match) return null;
+  return { daysBefore: parseInt(match[1], 10), hours: parseInt(match[2], 10), minutes: parseInt(match[3], 10) };
+}
+
+/**
+ * The instant an offset like "2d 18:00" falls before an event date, in a timezone
+ */
+function getTimeBeforeDate(dateStr, offset, timeZone) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return zonedTimeToUtc(year, month, day - offset.daysBefore, offset.hours, offset.minutes, timeZone);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getGroupTimezone,
+  getLocalDate,
+  zonedTimeToUtc,
+  toSqliteTimestamp,
+  fromSqliteTimestamp,
+  formatTimestampForDisplay,
+  parseDayOffset,
+  getTimeBeforeDate
+};
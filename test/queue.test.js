@@ -0,0 +1,180 @@
+/**
+ * Queue positions: every change through updateQueue leaves each event's
+ * golfers and guests numbered 1..n, including changes made at the same time
+ * by separate connections to one database (as a second app instance would)
+ */
+const { Worker, isMainThread, workerData } = require('worker_threads');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const WORKERS = 4;
+const GOLFERS_PER_WORKER = 5;
+const STEPS = 60;
+
+/**
+ * A repeatable random sequence, so a failure can be replayed
+ */
+function createRandom(seed) {
+  let state = seed;
+  return (n) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % n;
+  };
+}
+
+/**
+ * One random change to a golfer's spot: IN, OUT, a guest added or a guest removed
+ */
+function randomChange(db, updateQueue, eventId, golferId, random) {
+  const response = () => db.getResponseByGolferAndEvent.get(eventId, golferId);
+  const isIn = () => ['in', 'offered'].includes(response()?.status);
+
+  switch (random(4)) {
+    case 0:
+      updateQueue(eventId, nextPosition => {
+        if (!isIn()) db.upsertResponse.run(eventId, golferId, 'in', nextPosition());
+      });
+      break;
+    case 1:
+      updateQueue(eventId, () => {
+        db.upsertResponse.run(eventId, golferId, 'out', null);
+        db.deleteGuestsByHost.run(eventId, golferId);
+      });
+      break;
+    case 2:
+      updateQueue(eventId, nextPosition => {
+        if (isIn()) db.addGuest.run(eventId, golferId, 'Guest', nextPosition());
+      });
+      break;
+    default:
+      updateQueue(eventId, () => {
+        const [guest] = db.getGuestsByHost.all(eventId, golferId);
+        if (guest) db.deleteGuest.run(guest.id);
+      });
+  }
+}
+
+// Worker: wait for the starting signal, then change its own golfers' spots
+if (!isMainThread) {
+  const db = require('../src/db');
+  const { updateQueue } = require('../src/events');
+  const { eventId, golferIds, seed, start } = workerData;
+  const random = createRandom(seed);
+
+  Atomics.wait(start, 0, 0);
+  for (let i = 0; i < STEPS; i++) {
+    randomChange(db, updateQueue, eventId, golferIds[random(golferIds.length)], random);
+  }
+  return;
+}
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tee-time-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+process.env.SMS_PROVIDER = 'outbox';
+process.env.TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || `AC${'0'.repeat(32)}`;
+process.env.TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'test';
+
+const db = require('../src/db');
+const { createEvent, updateQueue, expireOffers } = require('../src/events');
+const { drainQueue } = require('../src/sms');
+
+let eventId;
+let golferIds;
+
+function assertGapFree(id = eventId) {
+  const positions = db.getQueueForEvent.all(id, id).map(entry => entry.position);
+  assert.deepStrictEqual(positions, positions.map((_, i) => i + 1));
+}
+
+before(() => {
+  const group = db.getGroupById.get(1);
+  eventId = createEvent(group, '2031-01-05', 'Pebble', ['08:00', '08:10'], 6);
+  golferIds = [];
+  for (let i = 1; i <= WORKERS * GOLFERS_PER_WORKER; i++) {
+    const phone = `+1555111${String(i).padStart(4, '0')}`;
+    db.addGolfer.run(group.id, `Golfer${i}`, phone);
+    golferIds.push(db.getGolferByPhone.get(group.id, phone).id);
+  }
+});
+
+after(() => {
+  db.db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('every queue change leaves positions gap-free', () => {
+  const random = createRandom(1);
+  for (let i = 0; i < 200; i++) {
+    randomChange(db, updateQueue, eventId, golferIds[random(golferIds.length)], random);
+    assertGapFree();
+  }
+});
+
+test('a gap left outside updateQueue is closed by the next change', () => {
+  updateQueue(eventId, nextPosition => {
+    db.upsertResponse.run(eventId, golferIds[0], 'in', nextPosition());
+  });
+  db.db.prepare('UPDATE responses SET position = position + 5 WHERE event_id = ? AND golfer_id = ?').run(eventId, golferIds[0]);
+
+  updateQueue(eventId, () => {});
+  assertGapFree();
+});
+
+test('changes from several connections at once keep positions unique and gap-free', async () => {
+  const start = new Int32Array(new SharedArrayBuffer(4));
+  const workers = Array.from({ length: WORKERS }, (_, w) => new Worker(__filename, {
+    workerData: {
+      eventId,
+      golferIds: golferIds.slice(w * GOLFERS_PER_WORKER, (w + 1) * GOLFERS_PER_WORKER),
+      seed: w + 2,
+      start
+    }
+  }));
+  const finished = workers.map(worker => new Promise((resolve, reject) => {
+    worker.once('error', reject);
+    worker.once('exit', code => (code === 0 ? resolve() : reject(new Error(`Worker exited with ${code}`))));
+  }));
+  await Promise.all(workers.map(worker => new Promise(resolve => worker.once('online', resolve))));
+
+  Atomics.store(start, 0, 1);
+  Atomics.notify(start, 0);
+  await Promise.all(finished);
+
+  assertGapFree();
+});
+
+test('spot offers, their expiry and opted-out golfers keep positions gap-free', async () => {
+  const group = db.getGroupById.get(1);
+  const offerEventId = createEvent(group, '2031-01-12', 'Pebble', ['08:00'], 2);
+  const [first, second, third, fourth] = golferIds;
+  const status = golferId => db.getResponseByGolferAndEvent.get(offerEventId, golferId).status;
+  const goIn = golferId => updateQueue(offerEventId, nextPosition => {
+    db.upsertResponse.run(offerEventId, golferId, 'in', nextPosition());
+  });
+  const goOut = golferId => updateQueue(offerEventId, () => {
+    db.upsertResponse.run(offerEventId, golferId, 'out', null);
+  });
+
+  [first, second, third, fourth].forEach(goIn);
+  db.addGuest.run(offerEventId, second, 'Guest', db.getQueueForEvent.all(offerEventId, offerEventId).length + 1);
+  db.setGolferOptedOut.run(1, fourth);
+
+  // The first on the waitlist is offered the spot
+  goOut(first);
+  assert.strictEqual(status(third), 'offered');
+  assertGapFree(offerEventId);
+
+  // It runs out, so it passes to the next golfer, who opted out and moves straight in
+  db.db.prepare("UPDATE waitlist_offers SET expires_at = datetime('now', '-1 minute') WHERE event_id = ?").run(offerEventId);
+  await expireOffers(offerEventId);
+  assert.strictEqual(status(third), 'out');
+  assert.strictEqual(status(fourth), 'in');
+  assert.strictEqual(db.getPendingOffersForGolfer.all(fourth).length, 0);
+  assertGapFree(offerEventId);
+
+  await drainQueue();
+});